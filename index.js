@@ -0,0 +1,4 @@
+// Entrypoint for `require()`/`import` of the package. The source is ES modules
+// loaded through `esm` (same as `npm run fetch` and the tests)
+require = require('esm')(module);
+module.exports = require('./src/index.js');
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import dayjs from 'dayjs';
+import { urlToFileName } from './snapshot.js';
+
+// The on-disk HTTP cache is a directory with two files per URL (like snapshots)
+// * `<name>.body` - The last response body
+// * `<name>.json` - Metadata, `{ url, storedAt, status, statusText, headers }`
+// Entries younger than the TTL of their source are used without any request.
+// Older entries are revalidated with a conditional GET (ETag/Last-Modified)
+const META_EXT = '.json';
+const BODY_EXT = '.body';
+
+// Current cache configuration, see `configureCache()`
+let cache = {
+  dir: undefined,
+  ttls: {}
+};
+let stats = {
+  hits: 0,
+  revalidated: 0,
+  misses: 0
+};
+
+/**
+ * Sets up the HTTP cache used by `fetch()` in `src/utils.js`
+ * @param {Object} [opts] Leave out to disable the cache
+ * * `.dir` - Directory to store the cache in
+ * * `.ttls` - Object of source names (see `fetch()` calls in `src/fetch.js`)
+ *     mapped to the number of seconds an entry can be used without revalidating.
+ *     `.default` is used for sources that aren't listed (defaults to 0, always
+ *     revalidate)
+ */
+export function configureCache({ dir, ttls = {} } = {}) {
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  cache = { dir, ttls };
+  resetCacheStats();
+}
+
+export function getCacheStats() {
+  return Object.assign({}, stats);
+}
+
+export function resetCacheStats() {
+  stats = { hits: 0, revalidated: 0, misses: 0 };
+}
+
+export function isCacheEnabled() {
+  return !!cache.dir;
+}
+
+function writeMeta(name, meta) {
+  fs.writeFileSync(path.join(cache.dir, name + META_EXT), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Looks up the cache entry for a URL
+ * @param {String} url The URL to fetch
+ * @param {String} [source] Name of the source requesting it, for picking the TTL
+ * @returns {Object|undefined} undefined if there's no entry, otherwise
+ * * `.name` - File name of the entry
+ * * `.meta` - The entry metadata
+ * * `.isFresh` - If the entry can be used without a request (younger than the TTL)
+ * * `.conditionalHeaders` - Headers to send to revalidate the entry
+ */
+export function readCacheEntry(url, source) {
+  const name = urlToFileName(url);
+  const metaPath = path.join(cache.dir, name + META_EXT);
+  if (!fs.existsSync(metaPath)) {
+    return undefined;
+  }
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  const ttl = cache.ttls[source] !== undefined ? cache.ttls[source] : (cache.ttls.default || 0);
+
+  const conditionalHeaders = {};
+  if (meta.headers.etag) {
+    conditionalHeaders['If-None-Match'] = meta.headers.etag;
+  }
+  if (meta.headers['last-modified']) {
+    conditionalHeaders['If-Modified-Since'] = meta.headers['last-modified'];
+  }
+  return {
+    name,
+    meta,
+    isFresh: dayjs().diff(dayjs(meta.storedAt), 'second') < ttl,
+    conditionalHeaders
+  };
+}
+
+/**
+ * Reads the body and response info of an entry, counting it as a hit
+ * @param {Object} entry From `readCacheEntry()`
+ * @param {boolean} [revalidated] If the entry was revalidated with a 304 first,
+ * resets the entry's age
+ * @returns {Object} `{ body, url, status, statusText, headers }` to build a
+ * Response from, plus `fetchedAt`, when it was stored or last revalidated
+ */
+export function useCacheEntry({ name, meta }, revalidated = false) {
+  if (revalidated) {
+    stats.revalidated++;
+    meta.storedAt = dayjs().format();
+    writeMeta(name, meta);
+  }
+  else {
+    stats.hits++;
+  }
+  return {
+    body: fs.readFileSync(path.join(cache.dir, name + BODY_EXT)),
+    url: meta.url,
+    status: meta.status,
+    statusText: meta.statusText,
+    headers: meta.headers,
+    fetchedAt: meta.storedAt
+  };
+}
+
+/**
+ * Stores a response fetched from the network, counting it as a miss. Error
+ * responses are counted but never stored
+ * @param {String} url The requested URL
+ * @param {Buffer} [body] The response body
+ * @param {Object} resp The response (for the status and headers)
+ */
+export function storeCacheEntry(url, body, resp) {
+  stats.misses++;
+  if (!resp.ok) {
+    return;
+  }
+  const name = urlToFileName(url);
+  fs.writeFileSync(path.join(cache.dir, name + BODY_EXT), body);
+  writeMeta(name, {
+    url,
+    storedAt: dayjs().format(),
+    status: resp.status,
+    statusText: resp.statusText,
+    headers: Object.fromEntries(resp.headers.entries())
+  });
+}
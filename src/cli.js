@@ -1,14 +1,40 @@
 import dayjs from 'dayjs';
+import fs from 'fs';
+import path from 'path';
 import argparse from 'argparse';
-import { getTLDData } from './fetch.js';
+import { getTLDData, DEFAULT_SOURCES, REUSABLE_FIELDS, PUBLIC_SUFFIX_LIST_URL,
+  createPublicSuffixListSource } from './fetch.js';
+import { selectSources } from './pipeline.js';
+import { parseDuration } from './utils.js';
+import { configureSnapshot, getSnapshotTime } from './snapshot.js';
+import { configureCache, getCacheStats, isCacheEnabled } from './cache.js';
+import { DEFAULT_HTTP_CONFIG, configureHTTP } from './http.js';
+import { LOG_LEVELS, LOG_FORMATS, configureLog, createLogger } from './log.js';
+import { getReport } from './report.js';
+import { CHANGE_KINDS, diffTLDData, diffToMarkdown } from './diff.js';
+import { FORMATS, formatData, formatPeriodsTable } from './formats.js';
+import { createTLDQuery, normalizeTLD } from './query.js';
+import { SCHEMA_VERSION, loadDataset, previousDataForReuse } from './schema.js';
+import { DEFAULT_THRESHOLDS } from './validate.js';
+import { createDataServer } from './server.js';
+import { DEFAULT_WATCH_KINDS, createWatchState, loadWatchState, queueChanges,
+  deliverPending, webhookTarget, commandTarget } from './watch.js';
+import { createHistory, loadHistory, updateHistory, historyStateAt,
+  tldTimeline } from './history.js';
 
 /**
  * Gets all the data + some metadata
+ * @param {Object} [prevData] See `getTLDData()`
+ * @param {Object} [opts] Options passed to `getTLDData()`
  */
-async function getData(prevData) {
-  const tldData = await getTLDData(prevData);
+async function getData(prevData, opts = {}) {
+  // When rebuilding from a snapshot, "now" is when the snapshot was taken so
+  // the output matches the original run
+  const now = getSnapshotTime() || dayjs();
+  const tldData = await getTLDData(prevData, { ...opts, now });
   return {
-    generated: dayjs().format(),
+    schemaVersion: SCHEMA_VERSION,
+    generated: now.format(),
     data: tldData
   };
 }
@@ -20,21 +46,146 @@ async function read(stream) {
   return Buffer.concat(chunks).toString('utf8');
 }
 
-// Checks stream for any previously output data to use to supplement request
-// heavy portions of the update loop
+// Reads a dataset file of any schema version
+function readDataset(path) {
+  return loadDataset(JSON.parse(fs.readFileSync(path, 'utf8')));
+}
+
+// Checks stream for any previously output data (any schema version) to use to
+// supplement request heavy portions of the update loop
 async function readPrevious(stream) {
   const inStr = await read(stream);
   if(inStr) {
-    // Parse the previous data and return the JSON
-    // object, but with the TLDs mapped to keys
-    const inObj = JSON.parse(inStr);
-    return inObj
-      .map(({tld, isBrand, hasRestrictions}) => {
-        return {
-          [tld]: { isBrand, hasRestrictions }
-        };
-      })
-      .reduce(Object.assign, {});
+    return loadDataset(JSON.parse(inStr));
+  }
+}
+
+// Reads a history file, or a new history if it doesn't exist yet
+function readHistory(path) {
+  return fs.existsSync(path) ?
+    loadHistory(JSON.parse(fs.readFileSync(path, 'utf8'))) :
+    createHistory();
+}
+
+// Records datasets into the history file at `path`, oldest first
+function recordHistory(path, datasets) {
+  const history = readHistory(path);
+  const updated = datasets.reduce((h, dataset) => updateHistory(h, dataset), history);
+  fs.writeFileSync(path, JSON.stringify(updated, null, 2));
+  const newEvents = updated.events.length - history.events.length;
+  createLogger('history').info(`New events in ${path}`, { count: newEvents });
+}
+
+// Parses the --reuse arguments, `FIELD` or `FIELD=MAX_AGE`
+function parseReuse(reuseArgs) {
+  return reuseArgs
+    .map(s => s.split('='))
+    .map(([field, maxAge]) => {
+      if(!REUSABLE_FIELDS.includes(field)) {
+        throw new Error(`Can't reuse '${field}', must be one of ${REUSABLE_FIELDS.join(', ')}`);
+      }
+      return [field, maxAge];
+    })
+    .map(([field, maxAge]) => ({ [field]: maxAge ? parseDuration(maxAge) : Infinity }))
+    .reduce((acc, o) => Object.assign(acc, o), {});
+}
+
+// Sanity thresholds given on the command line, see `DEFAULT_THRESHOLDS`
+function thresholdsFromArgs(args) {
+  return {
+    ...(args.min_tlds !== undefined ? { minTLDs: args.min_tlds } : {}),
+    ...(args.max_change !== undefined ? { maxChangePercent: args.max_change } : {}),
+    ...(args.max_failed !== undefined ? { maxFailedTLDs: args.max_failed } : {})
+  };
+}
+
+// Keys of the `http` object of the --config file
+const HTTP_CONFIG_KEYS = ['userAgent', 'proxy', 'noProxy', 'timeout', 'retries', 'retryDelay',
+  'maxRetryDelay', 'concurrency', 'rateLimit', 'rateLimits'];
+
+// HTTP options (see `configureHTTP()`) from the `http` object of the --config
+// file, overridden by the ones on the command line. Durations are like --timeout
+function httpConfigFromArgs(args) {
+  const file = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {};
+  const fromFile = file.http || {};
+  Object.keys(fromFile)
+    .filter(key => !HTTP_CONFIG_KEYS.includes(key))
+    .forEach(key => {
+      throw new Error(`Unknown option 'http.${key}' in ${args.config}, must be one of ${HTTP_CONFIG_KEYS.join(', ')}`);
+    });
+  const pick = (arg, key) => arg !== undefined ? arg : fromFile[key];
+  const ms = duration => duration !== undefined ? parseDuration(duration) * 1000 : undefined;
+  // --rate-limit is `N` for every host or `HOST=N` for one
+  const rateLimitArgs = (args.rate_limit || []).map(s => s.includes('=') ? s.split('=') : [undefined, s]);
+  const defaultRateLimit = rateLimitArgs.filter(([host]) => !host).map(([host, n]) => parseFloat(n)).pop();
+  return {
+    userAgent: pick(args.user_agent, 'userAgent'),
+    proxy: pick(args.proxy, 'proxy'),
+    noProxy: pick(args.no_proxy, 'noProxy'),
+    timeoutMs: ms(pick(args.timeout, 'timeout')),
+    retries: pick(args.retries, 'retries'),
+    retryDelayMs: ms(fromFile.retryDelay),
+    maxRetryDelayMs: ms(fromFile.maxRetryDelay),
+    concurrency: pick(args.concurrency, 'concurrency'),
+    rateLimit: pick(defaultRateLimit, 'rateLimit'),
+    rateLimits: rateLimitArgs
+      .filter(([host]) => host)
+      .map(([host, n]) => ({ [host]: parseFloat(n) }))
+      .reduce((acc, o) => Object.assign(acc, o), { ...fromFile.rateLimits })
+  };
+}
+
+// The built-in sources plus the ones from --plugin modules, narrowed down with
+// --source and --skip-source
+async function sourcesFromArgs(args) {
+  const plugins = await Promise.all((args.plugin || []).map(async file => {
+    const plugin = await import(path.resolve(file));
+    if(!Array.isArray(plugin.sources)) {
+      throw new Error(`Plugin '${file}' must export a \`sources\` array`);
+    }
+    return plugin.sources;
+  }));
+  const pslLocation = args.psl_list || (args.psl ? PUBLIC_SUFFIX_LIST_URL : undefined);
+  const psl = pslLocation ? [createPublicSuffixListSource(pslLocation)] : [];
+  return selectSources([...DEFAULT_SOURCES, ...psl, ...plugins.flat()], {
+    only: args.source,
+    skip: args.skip_source
+  });
+}
+
+// Adds the arguments for formatting/filtering the output data. Subcommands add
+// them without defaults, so they don't overwrite top-level ones (like
+// `--format csv convert tldData.json`)
+function addOutputArguments(parser, { isSubcommand = false } = {}) {
+  const defaultOf = value => isSubcommand ? argparse.SUPPRESS : value;
+  parser.add_argument('--format', { choices: FORMATS, default: defaultOf('json'), help: 'Output format (default: json). csv/tsv have a row per TLD, ndjson has a line per TLD, list is just the TLDs and psl is the ICANN section of the Public Suffix List' });
+  parser.add_argument('--psl-second-level', { action: 'store_true', default: defaultOf(false), help: 'For psl, also add the second level domains of curated ccTLDs (like co.jp)' });
+  parser.add_argument('--periods-table', { metavar: 'FILE', default: defaultOf(undefined), help: 'For csv/tsv, write the periods to FILE as a separate table instead of flattening them into columns' });
+  parser.add_argument('--type', { action: 'append', default: defaultOf(undefined), help: 'Only output TLDs of this type. Can be given multiple times' });
+  // BooleanOptionalAction adds its default to the help, even a suppressed one
+  const addFilter = (flag, help) => {
+    parser.add_argument(flag, { action: argparse.BooleanOptionalAction, default: defaultOf(undefined), help }).help = help;
+  };
+  addFilter('--brand', 'Only output brand (or with --no-brand, non-brand) TLDs');
+  addFilter('--restricted', 'Only output TLDs with (or with --no-restricted, without) registration restrictions');
+  addFilter('--not-in-ga', 'Only output TLDs not in (or with --no-not-in-ga, in) General Availability');
+  addFilter('--registerable', 'Only output TLDs that are (or with --no-registerable, are not) publicly registerable');
+}
+
+// Filters and formats the data and writes it to stdout
+function writeOutput(outData, args) {
+  const data = createTLDQuery(outData).filter({
+    type: args.type || undefined,
+    isBrand: args.brand,
+    hasRestrictions: args.restricted,
+    isNotInGeneralAvailability: args.not_in_ga,
+    isPubliclyRegisterable: args.registerable
+  });
+  const filteredData = Object.assign({}, outData, { data });
+  const periodColumns = !args.periods_table;
+  process.stdout.write(formatData(filteredData, args.format, { periodColumns, pslSecondLevel: args.psl_second_level }));
+  if(args.periods_table) {
+    fs.writeFileSync(args.periods_table, formatPeriodsTable(filteredData, args.format));
   }
 }
 
@@ -48,15 +199,281 @@ async function main() {
   // work...
   parser.add_argument('-v', '--version', { action: 'version', version: '1.1.0' });
   parser.add_argument('-s', '--stdin', { action: 'store_true', help: 'Read previously output data on STDIN to reuse some old data to reduce amount of web scraping requests needed.' });
+  parser.add_argument('--reuse', { metavar: 'FIELD[=MAX_AGE]', action: 'append', help: `With --stdin, a field to reuse (${REUSABLE_FIELDS.join(', ')}), only if it was fetched less than MAX_AGE (like 30d) ago. Can be given multiple times (default: all of them with no max age)` });
   parser.add_argument('--color', { action: 'store_true', help: 'Pass in for chalk to force color output (should work by default... but doesnt)' });
+  const snapshotGroup = parser.add_mutually_exclusive_group();
+  snapshotGroup.add_argument('--snapshot-dir', { metavar: 'DIR', help: 'Save every raw response (with its URL, timestamp and hash) into DIR while fetching' });
+  snapshotGroup.add_argument('--from-snapshot', { metavar: 'DIR', help: 'Build the data entirely offline from responses saved with --snapshot-dir' });
+  parser.add_argument('--provenance', { action: 'store_true', help: 'Add a `sources` object to every TLD with where each field came from' });
+  parser.add_argument('--history', { metavar: 'FILE', help: 'Record when TLDs were added/removed and changed into the history FILE (created if missing)' });
+  parser.add_argument('--cache-dir', { metavar: 'DIR', help: 'Cache responses in DIR and revalidate them with conditional requests (ETag/Last-Modified) on later runs' });
+  parser.add_argument('--previous', { metavar: 'FILE', help: 'Previous tldData.json to check --max-change against (default: the data from --stdin)' });
+  parser.add_argument('--min-tlds', { type: 'int', metavar: 'N', help: `Fail instead of outputting data with fewer than N TLDs (default: ${DEFAULT_THRESHOLDS.minTLDs})` });
+  parser.add_argument('--max-change', { type: 'float', metavar: 'PERCENT', help: `Fail instead of outputting data where more than PERCENT of the previous TLDs were added or removed (default: ${DEFAULT_THRESHOLDS.maxChangePercent})` });
+  parser.add_argument('--max-failed', { type: 'int', metavar: 'N', help: `Fail instead of outputting data where more than N generic TLDs are missing isBrand/hasRestrictions because a source failed for them (default: ${DEFAULT_THRESHOLDS.maxFailedTLDs})` });
+  parser.add_argument('--cache-ttl', { metavar: 'SOURCE=DURATION', action: 'append', default: [], help: 'How long cached responses for SOURCE (rootZone, ianaDB, ianaDetail, rdapBootstrap, statusPeriods, newGTLDs, registryAgreement, idnTables, publicSuffixList or default) are used without revalidating, like 12h or 7d. Can be given multiple times' });
+  parser.add_argument('--plugin', { metavar: 'MODULE', action: 'append', help: 'Load extra sources from MODULE, which must export a `sources` array (see README). Can be given multiple times' });
+  parser.add_argument('--source', { metavar: 'NAME', action: 'append', help: `Only run this source (and the ones it depends on, rootZone and ianaDB always run). Can be given multiple times. Built-in sources are ${DEFAULT_SOURCES.map(s => s.name).join(', ')}` });
+  parser.add_argument('--skip-source', { metavar: 'NAME', action: 'append', default: [], help: 'Don\'t run this source. Can be given multiple times' });
+  parser.add_argument('--psl', { action: 'store_true', help: 'Check the Public Suffix List on publicsuffix.org against the root zone, warning about TLDs missing from it and ones not delegated anymore, and add `inPublicSuffixList`' });
+  parser.add_argument('--psl-list', { metavar: 'FILE_OR_URL', help: 'Like --psl, but checks the list in a local file or at a URL instead' });
+  parser.add_argument('--strict', { action: 'store_true', help: 'Fail the whole run when a source fails for any TLD, instead of using the TLD\'s previous data (from --previous or --stdin) and marking it `stale`' });
+  parser.add_argument('--config', { metavar: 'FILE', help: 'JSON file with the HTTP options below in an `http` object (see README), the command line overrides it' });
+  parser.add_argument('--user-agent', { metavar: 'UA', help: `User-Agent of every request (default: ${DEFAULT_HTTP_CONFIG.userAgent})` });
+  parser.add_argument('--proxy', { metavar: 'URL', help: 'Send requests through the HTTP(S) proxy at URL (default: $HTTPS_PROXY or $HTTP_PROXY)' });
+  parser.add_argument('--no-proxy', { metavar: 'HOST', action: 'append', help: 'Don\'t use the proxy for HOST and its subdomains. Can be given multiple times (default: $NO_PROXY)' });
+  parser.add_argument('--timeout', { metavar: 'DURATION', help: `Fail (and retry) requests that take longer than DURATION, like 30s (default: ${DEFAULT_HTTP_CONFIG.timeoutMs / 1000}s)` });
+  parser.add_argument('--retries', { type: 'int', metavar: 'N', help: `Retry network errors, timeouts, 429s and 5xxs N times, after their Retry-After if they have one (default: ${DEFAULT_HTTP_CONFIG.retries})` });
+  parser.add_argument('--concurrency', { type: 'int', metavar: 'N', help: `Most requests to run at once (default: ${DEFAULT_HTTP_CONFIG.concurrency})` });
+  parser.add_argument('--rate-limit', { metavar: '[HOST=]N', action: 'append', help: `Most requests per second to every host, or with HOST= to just HOST (like www.icann.org=0.5). 0 is no limit. Can be given multiple times (default: ${DEFAULT_HTTP_CONFIG.rateLimit})` });
+  parser.add_argument('--log-level', { choices: LOG_LEVELS, default: 'info', help: 'Least severe messages to log to stderr (default: %(default)s)' });
+  parser.add_argument('--log-format', { choices: LOG_FORMATS, default: 'text', help: 'Log as text or as one JSON object per line (default: %(default)s)' });
+  parser.add_argument('--report', { metavar: 'FILE', help: 'Write a JSON report of the run (per-source durations, request counts, warnings and anomalies) to FILE, also when it fails' });
+  addOutputArguments(parser);
+
+  const subparsers = parser.add_subparsers({ dest: 'command', help: 'Leave out to fetch all the data' });
+  const diffParser = subparsers.add_parser('diff', { help: 'Print the changes between two datasets' });
+  diffParser.add_argument('old', { help: 'The older tldData.json' });
+  diffParser.add_argument('new', { nargs: '?', help: 'The newer tldData.json. Leave out to compare against freshly fetched data' });
+  diffParser.add_argument('-f', '--format', { dest: 'diff_format', choices: ['markdown', 'json'], default: 'markdown', help: 'Output format (default: %(default)s)' });
+  const convertParser = subparsers.add_parser('convert', { help: 'Filter and convert an existing dataset to another format' });
+  convertParser.add_argument('input', { help: 'The tldData.json to convert' });
+  addOutputArguments(convertParser, { isSubcommand: true });
+  const historyParser = subparsers.add_parser('history', { help: 'Query or update a history file from --history' });
+  historyParser.add_argument('file', { help: 'The history file' });
+  historyParser.add_argument('--record', { metavar: 'DATASET', action: 'append', help: 'Record the changes in an existing tldData.json into the history first (like older versions of it). Can be given multiple times, oldest first' });
+  historyParser.add_argument('--at', { metavar: 'DATE', help: 'Output the TLDs in the root zone at DATE (like 2019-01-01)' });
+  historyParser.add_argument('--tld', { help: 'Output every event of a single TLD' });
+  addOutputArguments(historyParser, { isSubcommand: true });
+  const serveParser = subparsers.add_parser('serve', { help: 'Serve a read-only HTTP API over a dataset (see README)' });
+  serveParser.add_argument('input', { nargs: '?', help: 'The tldData.json to serve. Leave out to fetch the data (with the top-level options) instead' });
+  serveParser.add_argument('--port', { type: 'int', default: 8080, help: 'Port to listen on (default: %(default)s)' });
+  serveParser.add_argument('--host', { default: '127.0.0.1', help: 'Address to listen on (default: %(default)s)' });
+  serveParser.add_argument('--refresh', { metavar: 'DURATION', help: 'Load the data again every DURATION (like 12h), reading the input again or fetching it again. Until a refresh succeeds the last data is served' });
+  const watchParser = subparsers.add_parser('watch', { help: 'Fetch the data every --interval and announce what changed to webhooks or commands (see README)' });
+  watchParser.add_argument('--interval', { metavar: 'DURATION', default: '1d', help: 'How often to fetch the data, like 12h (default: %(default)s)' });
+  watchParser.add_argument('--webhook', { metavar: 'URL', action: 'append', default: [], help: 'POST the changes as JSON to URL. Can be given multiple times' });
+  watchParser.add_argument('--exec', { metavar: 'COMMAND', action: 'append', default: [], help: 'Run the shell COMMAND with the changes as JSON on its stdin. Can be given multiple times' });
+  watchParser.add_argument('--state', { metavar: 'FILE', help: 'Keep the last data and the pending and announced changes in FILE (created if missing), so restarts don\'t miss or repeat changes' });
+  watchParser.add_argument('--kind', { choices: CHANGE_KINDS, action: 'append', help: `Kind of change to announce. Can be given multiple times (default: ${DEFAULT_WATCH_KINDS.join(', ')})` });
+  watchParser.add_argument('--dedupe', { metavar: 'DURATION', default: '30d', help: 'Don\'t announce a change again for DURATION after it was announced (default: %(default)s)' });
+  watchParser.add_argument('--once', { action: 'store_true', help: 'Fetch and announce once and exit, like for cron jobs (with --state)' });
 
   const args = parser.parse_args();
+  configureLog({ level: args.log_level, format: args.log_format });
+  configureHTTP(httpConfigFromArgs(args));
+  if(args.snapshot_dir) {
+    configureSnapshot({ mode: 'record', dir: args.snapshot_dir });
+  }
+  else if(args.from_snapshot) {
+    configureSnapshot({ mode: 'replay', dir: args.from_snapshot });
+  }
+  if(args.cache_dir) {
+    const ttls = args.cache_ttl
+      .map(s => s.split('='))
+      .map(([source, duration]) => ({ [source]: parseDuration(duration) }))
+      .reduce((acc, o) => Object.assign(acc, o), {});
+    configureCache({ dir: args.cache_dir, ttls });
+  }
+
+  try {
+    await runCommand(args);
+  }
+  catch(e) {
+    writeReport(args, { ok: false, error: e.message });
+    throw e;
+  }
+  if(isCacheEnabled()) {
+    const { hits, revalidated, misses } = getCacheStats();
+    createLogger('cache').info(`Cache: ${hits} hits, ${revalidated} revalidated, ${misses} misses`);
+  }
+  writeReport(args, { ok: true });
+}
+
+async function runCommand(args) {
+  if(args.command === 'diff') {
+    await diff(args);
+  }
+  else if(args.command === 'convert') {
+    writeOutput(readDataset(args.input), args);
+  }
+  else if(args.command === 'history') {
+    history(args);
+  }
+  else if(args.command === 'serve') {
+    await serve(args);
+  }
+  else if(args.command === 'watch') {
+    await watch(args);
+  }
+  else {
+    await fetchData(args);
+  }
+}
+
+// Writes the run report to the --report file (see `getReport()`)
+function writeReport(args, extra) {
+  if(!args.report) {
+    return;
+  }
+  const report = getReport({
+    ...extra,
+    ...(isCacheEnabled() ? { cache: getCacheStats() } : {})
+  });
+  fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+}
+
+// Default command, fetches all the data and writes it to stdout (see `writeOutput()`)
+async function fetchData(args) {
   let prevData;
+  let previous = args.previous ? readDataset(args.previous) : undefined;
   if(args.stdin) {
-    prevData = await readPrevious(process.stdin);
+    const stdinData = await readPrevious(process.stdin);
+    if(stdinData) {
+      prevData = previousDataForReuse(stdinData, parseReuse(args.reuse || REUSABLE_FIELDS));
+      previous = previous || stdinData;
+    }
+  }
+  const outData = await getData(prevData, {
+    provenance: args.provenance,
+    previous: previous && previous.data,
+    strict: args.strict,
+    thresholds: thresholdsFromArgs(args),
+    sources: await sourcesFromArgs(args)
+  });
+  if(args.history) {
+    recordHistory(args.history, [outData]);
+  }
+  writeOutput(outData, args);
+}
+
+// `history` command, records datasets and writes the TLDs at a date or the
+// events of a TLD to stdout
+function history(args) {
+  if(args.record) {
+    recordHistory(args.file, args.record.map(readDataset));
+  }
+  const h = readHistory(args.file);
+  if(args.at) {
+    writeOutput({ at: args.at, data: historyStateAt(h, args.at) }, args);
+  }
+  else if(args.tld) {
+    process.stdout.write(JSON.stringify(tldTimeline(h, normalizeTLD(args.tld)), null, 2));
+  }
+  else if(!args.record) {
+    process.stdout.write(JSON.stringify(h.events, null, 2));
+  }
+}
+
+// `diff` command, writes the changes between two datasets to stdout
+async function diff(args) {
+  const oldData = readDataset(args.old);
+  const newData = args.new ?
+    readDataset(args.new) :
+    await getData(undefined, {
+      provenance: args.provenance,
+      strict: args.strict,
+      thresholds: thresholdsFromArgs(args),
+      sources: await sourcesFromArgs(args)
+    });
+  const changes = diffTLDData(oldData, newData);
+  process.stdout.write(args.diff_format === 'json' ?
+    JSON.stringify(changes, null, 2) :
+    diffToMarkdown(changes));
+}
+
+// `serve` command, serves the input or fetched data over HTTP until SIGINT/SIGTERM
+async function serve(args) {
+  const load = async current => args.input ?
+    readDataset(args.input) :
+    getData(undefined, {
+      provenance: args.provenance,
+      // Falls back to what's being served for TLDs a source fails for
+      previous: current && current.data,
+      strict: args.strict,
+      thresholds: thresholdsFromArgs(args),
+      sources: await sourcesFromArgs(args)
+    });
+  const dataServer = createDataServer(load, {
+    refreshSeconds: args.refresh ? parseDuration(args.refresh) : undefined
+  });
+  const { address, port } = await dataServer.listen(args.port, args.host);
+  createLogger('serve').info(`Listening on http://${address}:${port}`);
+  await new Promise(resolve => {
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, resolve));
+  });
+  await dataServer.close();
+}
+
+// `watch` command, fetches the data every --interval and announces the changes
+// until SIGINT/SIGTERM (see `src/watch.js`)
+async function watch(args) {
+  const log = createLogger('watch');
+  const targets = [...args.webhook.map(url => webhookTarget(url)), ...args.exec.map(commandTarget)];
+  if(!targets.length) {
+    throw new Error('watch needs at least one --webhook or --exec to announce changes to');
+  }
+  const intervalSeconds = parseDuration(args.interval);
+  const dedupeSeconds = parseDuration(args.dedupe);
+  let state = args.state && fs.existsSync(args.state) ?
+    loadWatchState(JSON.parse(fs.readFileSync(args.state, 'utf8'))) :
+    createWatchState();
+  if(!state.baseline && args.previous) {
+    state = { ...state, baseline: readDataset(args.previous) };
+  }
+
+  let stopped = false;
+  let timer;
+  let wake = () => {};
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+    stopped = true;
+    clearTimeout(timer);
+    wake();
+  }));
+  while(!stopped) {
+    try {
+      const dataset = await getData(undefined, {
+        provenance: args.provenance,
+        // Falls back to the last data for TLDs a source fails for, so a
+        // failure doesn't look like a change
+        previous: state.baseline && state.baseline.data,
+        strict: args.strict,
+        thresholds: thresholdsFromArgs(args),
+        sources: await sourcesFromArgs(args)
+      });
+      const hadBaseline = !!state.baseline;
+      const result = queueChanges(state, dataset, {
+        targets: targets.map(t => t.name),
+        kinds: args.kind || DEFAULT_WATCH_KINDS,
+        dedupeSeconds
+      });
+      state = result.state;
+      if(hadBaseline) {
+        log.info('New changes', { count: result.queued.length });
+      }
+      else {
+        log.info('Recorded the first data, changes are announced from the next round on');
+      }
+    }
+    catch(e) {
+      if(args.once) {
+        throw e;
+      }
+      log.error('Fetching failed, trying again next round', { code: 'WATCH_FETCH_FAILED', error: e.message });
+    }
+    // Also retries changes that couldn't be delivered last round
+    state = (await deliverPending(state, targets)).state;
+    if(args.state) {
+      fs.writeFileSync(args.state, JSON.stringify(state));
+    }
+    if(args.once || stopped) {
+      break;
+    }
+    await new Promise(resolve => {
+      wake = resolve;
+      timer = setTimeout(resolve, intervalSeconds * 1000);
+    });
   }
-  const outData = await getData(prevData);
-  process.stdout.write(JSON.stringify(outData, null, 2));
 }
 
 main();
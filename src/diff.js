@@ -0,0 +1,185 @@
+/**
+ * Kinds of changes `diffTLDData()` reports, used as `.kind` on each change
+ * * `added` - TLD added to the root zone
+ * * `removed` - TLD removed from the root zone
+ * * `typeChanged` - `.type` changed
+ * * `brandChanged` - `.isBrand` flipped
+ * * `restrictionsChanged` - `.hasRestrictions` flipped
+ * * `availabilityChanged` - TLD entered/left General Availability (`.from`/`.to`
+ *     are if it's in General Availability, the opposite of `isNotInGeneralAvailability`)
+ * * `periodAdded`/`periodRemoved` - A period was added/removed (`.period`)
+ * * `periodChanged` - The `.field` ('open' or 'close') date of the period `.name` changed
+ */
+export const CHANGE_KINDS = ['added', 'removed', 'typeChanged', 'brandChanged',
+  'restrictionsChanged', 'availabilityChanged', 'periodAdded', 'periodRemoved',
+  'periodChanged'];
+
+// Headings for each kind in the Markdown changelog
+const MARKDOWN_HEADINGS = {
+  added: 'Added to the root zone',
+  removed: 'Removed from the root zone',
+  typeChanged: 'Type changes',
+  brandChanged: 'Brand TLD changes',
+  restrictionsChanged: 'Restriction changes',
+  availabilityChanged: 'General Availability changes',
+  periodAdded: 'Periods added',
+  periodRemoved: 'Periods removed',
+  periodChanged: 'Period date changes'
+};
+
+function dataOf(dataset) {
+  return Array.isArray(dataset) ? dataset : dataset.data;
+}
+
+// Periods don't have unique names (some are just '-'), so key them with the type
+// and how many times that name + type was seen before
+function keyPeriods(periods = []) {
+  const seen = {};
+  return periods
+    .map(p => {
+      const key = `${p.name}|${p.type || ''}`;
+      seen[key] = (seen[key] || 0) + 1;
+      return { [`${key}|${seen[key]}`]: p };
+    })
+    .reduce((acc, o) => Object.assign(acc, o), {});
+}
+
+function diffPeriods(tld, oldPeriods, newPeriods) {
+  const oldKeyed = keyPeriods(oldPeriods);
+  const newKeyed = keyPeriods(newPeriods);
+  const changes = [];
+  Object.keys(newKeyed)
+    .filter(k => !oldKeyed[k])
+    .forEach(k => changes.push({ kind: 'periodAdded', tld, period: newKeyed[k] }));
+  Object.keys(oldKeyed)
+    .filter(k => !newKeyed[k])
+    .forEach(k => changes.push({ kind: 'periodRemoved', tld, period: oldKeyed[k] }));
+  Object.keys(newKeyed)
+    .filter(k => oldKeyed[k])
+    .forEach(k => {
+      ['open', 'close']
+        .filter(field => oldKeyed[k][field] !== newKeyed[k][field])
+        .forEach(field => changes.push({
+          kind: 'periodChanged',
+          tld,
+          name: newKeyed[k].name,
+          field,
+          from: oldKeyed[k][field],
+          to: newKeyed[k][field]
+        }));
+    });
+  return changes;
+}
+
+/**
+ * Compares two datasets (like two versions of `tldData.json`)
+ * @param {object|object[]} oldDataset The older dataset, `{ generated, data }` or
+ * just the array of TLD objects
+ * @param {object|object[]} newDataset The newer dataset
+ * @returns {object}
+ * * `.from` - `generated` of the old dataset
+ * * `.to` - `generated` of the new dataset
+ * * `.changes` - Array of `{ kind, tld, ... }` (see `CHANGE_KINDS`), ordered by
+ *     kind and then the order of the TLDs in the datasets
+ */
+export function diffTLDData(oldDataset, newDataset) {
+  const oldTLDs = new Map(dataOf(oldDataset).map(t => [t.tld, t]));
+  const newTLDs = new Map(dataOf(newDataset).map(t => [t.tld, t]));
+  const changes = [];
+
+  newTLDs.forEach((t, tld) => {
+    if (!oldTLDs.has(tld)) {
+      changes.push({ kind: 'added', tld });
+    }
+  });
+  oldTLDs.forEach((t, tld) => {
+    if (!newTLDs.has(tld)) {
+      changes.push({ kind: 'removed', tld });
+    }
+  });
+
+  newTLDs.forEach((n, tld) => {
+    const o = oldTLDs.get(tld);
+    if (!o) {
+      return;
+    }
+    if (o.type !== n.type) {
+      changes.push({ kind: 'typeChanged', tld, from: o.type, to: n.type });
+    }
+    if (o.isBrand !== n.isBrand) {
+      changes.push({ kind: 'brandChanged', tld, from: o.isBrand, to: n.isBrand });
+    }
+    if (o.hasRestrictions !== n.hasRestrictions) {
+      changes.push({ kind: 'restrictionsChanged', tld, from: o.hasRestrictions, to: n.hasRestrictions });
+    }
+    // Only compare when both have the key (it's omitted on non-generic TLDs)
+    if (o.isNotInGeneralAvailability !== undefined && n.isNotInGeneralAvailability !== undefined &&
+      o.isNotInGeneralAvailability !== n.isNotInGeneralAvailability) {
+      changes.push({
+        kind: 'availabilityChanged',
+        tld,
+        from: !o.isNotInGeneralAvailability,
+        to: !n.isNotInGeneralAvailability
+      });
+    }
+    changes.push(...diffPeriods(tld, o.periods, n.periods));
+  });
+
+  return {
+    from: Array.isArray(oldDataset) ? undefined : oldDataset.generated,
+    to: Array.isArray(newDataset) ? undefined : newDataset.generated,
+    changes: CHANGE_KINDS
+      .map(kind => changes.filter(c => c.kind === kind))
+      .flat()
+  };
+}
+
+function formatPeriod(p) {
+  const dates = [p.open, p.close].map(d => d || '?').join(' to ');
+  return `"${p.name}"${p.type ? ` (${p.type})` : ''} ${dates}`;
+}
+
+function formatChange(c) {
+  const tld = `\`.${c.tld}\``;
+  switch (c.kind) {
+    case 'added':
+    case 'removed':
+      return tld;
+    case 'typeChanged':
+      return `${tld}: ${c.from} → ${c.to}`;
+    case 'brandChanged':
+      return `${tld}: ${c.to ? 'now' : 'no longer'} a brand TLD`;
+    case 'restrictionsChanged':
+      return `${tld}: ${c.to ? 'now has' : 'no longer has'} registration restrictions`;
+    case 'availabilityChanged':
+      return `${tld}: ${c.to ? 'now' : 'no longer'} in General Availability`;
+    case 'periodAdded':
+    case 'periodRemoved':
+      return `${tld}: ${formatPeriod(c.period)}`;
+    case 'periodChanged':
+      return `${tld}: "${c.name}" ${c.field} ${c.from || '(none)'} → ${c.to || '(none)'}`;
+  }
+}
+
+/**
+ * Formats the output of `diffTLDData()` as a Markdown changelog
+ * @param {object} diff
+ * @returns {String}
+ */
+export function diffToMarkdown(diff) {
+  const lines = ['# TLD data changes', ''];
+  if (diff.from || diff.to) {
+    lines.push(`From \`${diff.from || 'unknown'}\` to \`${diff.to || 'unknown'}\``, '');
+  }
+  if (!diff.changes.length) {
+    lines.push('No changes', '');
+  }
+  CHANGE_KINDS
+    .map(kind => [kind, diff.changes.filter(c => c.kind === kind)])
+    .filter(([kind, changes]) => changes.length)
+    .forEach(([kind, changes]) => {
+      lines.push(`## ${MARKDOWN_HEADINGS[kind]} (${changes.length})`, '');
+      lines.push(...changes.map(c => `* ${formatChange(c)}`), '');
+    });
+  return lines.join('\n');
+}
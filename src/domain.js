@@ -0,0 +1,191 @@
+import punycode from 'punycode';
+import { getDefaultQuery } from './query.js';
+
+/**Reasons a domain can be invalid, used as `.code` in `parseDomain()` errors
+ */
+export const DOMAIN_ERRORS = {
+  EMPTY_LABEL: 'EMPTY_LABEL',
+  LABEL_TOO_LONG: 'LABEL_TOO_LONG',
+  HOSTNAME_TOO_LONG: 'HOSTNAME_TOO_LONG',
+  INVALID_LABEL_CHARACTERS: 'INVALID_LABEL_CHARACTERS',
+  MISSING_DOMAIN_LABEL: 'MISSING_DOMAIN_LABEL',
+  UNKNOWN_TLD: 'UNKNOWN_TLD',
+  BRAND_TLD: 'BRAND_TLD',
+  TLD_NOT_IN_GENERAL_AVAILABILITY: 'TLD_NOT_IN_GENERAL_AVAILABILITY',
+};
+
+// Limits from RFC 1035 (on the ASCII/punycode form)
+const MAX_LABEL_LENGTH = 63;
+const MAX_HOSTNAME_LENGTH = 253;
+
+/**
+ * Checks a single label, returns the error code if it's bad
+ * @param {String} label The unicode form of the label
+ * @param {String} asciiLabel The ASCII (punycode) form of the label
+ * @returns {String|undefined}
+ */
+function checkLabel(label, asciiLabel) {
+  if (!label) {
+    return DOMAIN_ERRORS.EMPTY_LABEL;
+  }
+  if (asciiLabel.length > MAX_LABEL_LENGTH) {
+    return DOMAIN_ERRORS.LABEL_TOO_LONG;
+  }
+  // Letters/digits/hyphen for ASCII, and letters/marks/digits for IDN labels.
+  // Hyphens can't start or end a label, and '--' in 3rd/4th position is
+  // reserved for 'xn--'
+  if (!/^[\p{L}\p{M}\p{Nd}-]+$/u.test(label) ||
+    !/^[a-z0-9-]+$/.test(asciiLabel) ||
+    label.startsWith('-') || label.endsWith('-') ||
+    (asciiLabel.slice(2, 4) === '--' && !asciiLabel.startsWith('xn--'))) {
+    return DOMAIN_ERRORS.INVALID_LABEL_CHARACTERS;
+  }
+}
+
+/**
+ * Parses a hostname into its labels and identifies the TLD in the dataset
+ * @param {String} hostname Hostname in unicode, punycode or any mix of the two,
+ * like 'www.example.com' or 'xn--9n2bp8q.xn--3e0b707e'
+ * @param {object} [query] Query object from `createTLDQuery()` for the TLD data
+ * to check against. Defaults to the bundled data
+ * @returns {object}
+ * * `.hostname` - The normalized (lowercase, unicode) hostname
+ * * `.hostnameAscii` - The hostname in ASCII (punycode)
+ * * `.labels` - Array of all unicode labels, left to right
+ * * `.tld` - The unicode TLD, or undefined if it isn't in the dataset
+ * * `.tldInfo` - The TLD object from the dataset
+ * * `.domain` - The registerable part, the label just before the TLD plus
+ *     the TLD (like 'example.com')
+ * * `.subdomains` - Array of labels before `.domain`
+ * * `.isValid` - If no errors were found
+ * * `.errors` - Array of `{ code, message, label? }` for every problem found,
+ *     `.code` is one of `DOMAIN_ERRORS`
+ */
+export function parseDomain(hostname, query = getDefaultQuery()) {
+  const errors = [];
+  const normalized = String(hostname).trim().toLowerCase()
+    // IDNA separators that should be treated as '.'
+    .replace(/[。．｡]/g, '.')
+    // Fully qualified hostnames end in '.'
+    .replace(/\.$/, '');
+
+  const labels = normalized.split('.').map(label => {
+    let unicode = label;
+    let ascii = label;
+    try {
+      unicode = label.startsWith('xn--') ? punycode.toUnicode(label) : label;
+      ascii = punycode.toASCII(unicode);
+    }
+    catch(err) {
+      errors.push({
+        code: DOMAIN_ERRORS.INVALID_LABEL_CHARACTERS,
+        message: `Label '${label}' is not valid punycode`,
+        label
+      });
+      return { unicode, ascii, checked: true };
+    }
+    return { unicode, ascii };
+  });
+
+  labels
+    .filter(l => !l.checked)
+    .forEach(l => {
+      const code = checkLabel(l.unicode, l.ascii);
+      if (code) {
+        errors.push({
+          code,
+          message: `Label '${l.unicode}' is invalid (${code})`,
+          label: l.unicode
+        });
+      }
+    });
+
+  const hostnameAscii = labels.map(l => l.ascii).join('.');
+  if (hostnameAscii.length > MAX_HOSTNAME_LENGTH) {
+    errors.push({
+      code: DOMAIN_ERRORS.HOSTNAME_TOO_LONG,
+      message: `Hostname is longer than ${MAX_HOSTNAME_LENGTH} characters`
+    });
+  }
+
+  const lastLabel = labels[labels.length - 1].unicode;
+  const tldInfo = lastLabel ? query.lookup(lastLabel) : undefined;
+  if (lastLabel && !tldInfo) {
+    errors.push({
+      code: DOMAIN_ERRORS.UNKNOWN_TLD,
+      message: `'${lastLabel}' is not a TLD in the root zone`,
+      label: lastLabel
+    });
+  }
+  if (tldInfo && tldInfo.isBrand) {
+    errors.push({
+      code: DOMAIN_ERRORS.BRAND_TLD,
+      message: `'${tldInfo.tld}' is a brand TLD`,
+      label: tldInfo.tld
+    });
+  }
+  if (tldInfo && tldInfo.isNotInGeneralAvailability) {
+    errors.push({
+      code: DOMAIN_ERRORS.TLD_NOT_IN_GENERAL_AVAILABILITY,
+      message: `'${tldInfo.tld}' is not in General Availability`,
+      label: tldInfo.tld
+    });
+  }
+  if (labels.length < 2) {
+    errors.push({
+      code: DOMAIN_ERRORS.MISSING_DOMAIN_LABEL,
+      message: 'Hostname has no labels before the TLD'
+    });
+  }
+
+  const unicodeLabels = labels.map(l => l.unicode);
+  return {
+    hostname: unicodeLabels.join('.'),
+    hostnameAscii,
+    labels: unicodeLabels,
+    tld: tldInfo ? tldInfo.tld : undefined,
+    tldInfo,
+    domain: labels.length >= 2 ? unicodeLabels.slice(-2).join('.') : undefined,
+    subdomains: unicodeLabels.slice(0, -2),
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Checks if the hostname is a valid domain that can be registered in (see
+ * `parseDomain()` for what's checked)
+ * @param {String} hostname
+ * @param {object} [query] See `parseDomain()`
+ * @returns {boolean}
+ */
+export function isValidDomain(hostname, query) {
+  return parseDomain(hostname, query).isValid;
+}
+
+/**
+ * Builds the RDAP domain query URL for a hostname (RFC 9082), using the RDAP
+ * servers of its TLD. Queries are for the registered domain, so subdomains are
+ * dropped ('www.example.co.uk' queries 'example.co.uk' if 'co.uk' is one of
+ * the TLD's `.secondLevelDomains`)
+ * @param {String} hostname See `parseDomain()`
+ * @param {object} [query] See `parseDomain()`
+ * @returns {String|undefined} undefined if the TLD is unknown, has no RDAP
+ * servers or there's no domain to query
+ */
+export function rdapDomainURL(hostname, query) {
+  const { labels, tldInfo } = parseDomain(hostname, query);
+  if (!tldInfo || !tldInfo.rdapBaseUrls || !tldInfo.rdapBaseUrls.length || labels.length < 2) {
+    return undefined;
+  }
+  const isUnderSLD = labels.length >= 3 &&
+    (tldInfo.secondLevelDomains || []).includes(labels.slice(-2).join('.'));
+  const domain = labels
+    .slice(isUnderSLD ? -3 : -2)
+    .map(l => punycode.toASCII(l))
+    .join('.');
+  // Clients should prefer HTTPS servers
+  const baseUrl = tldInfo.rdapBaseUrls.find(url => url.startsWith('https:')) ||
+    tldInfo.rdapBaseUrls[0];
+  return `${baseUrl.endsWith('/') ? baseUrl : baseUrl + '/'}domain/${domain}`;
+}
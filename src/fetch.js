@@ -1,11 +1,19 @@
+import fs from 'fs';
 import dayjs from 'dayjs';
-import chalk from 'chalk';
 import jsdom from 'jsdom';
-import os from 'os';
 import punycode from 'punycode';
-import mapLimit from 'async/mapLimit.js';
-import { diffArrayUnordered, mapReduceToObj, arrayPrototypeUnique,
-  _assert, fetch } from './utils.js';
+import { arrayPrototypeUnique, _assert, fetch, getFetchedAt } from './utils.js';
+import { DEFAULT_THRESHOLDS, validateTLDs } from './validate.js';
+import { extractSpec12, classifyRestrictions } from './restrictions.js';
+import { parseZoneFile, summarizeRootZone } from './zone.js';
+import { parseStatusPeriodsRow } from './periods.js';
+import { parsePSL } from './psl.js';
+import { estimateGA } from './ga.js';
+import { runPipeline } from './pipeline.js';
+import { DEFAULT_SOURCES, LEGACY_GTLDS } from './sources/index.js';
+import { createLogger } from './log.js';
+import { ROOT_ZONE_URL, IANA_DB_URL, STATUS_PERIODS_URL, REGISTRY_AGREEMENT_URL,
+  IDN_TABLES_URL, RDAP_BOOTSTRAP_URL, NEW_GTLDS_CSV_URL, PUBLIC_SUFFIX_LIST_URL } from './urls.js';
 const { JSDOM } = jsdom;
 Array.prototype.unique = arrayPrototypeUnique;
 
@@ -24,36 +32,75 @@ Array.prototype.unique = arrayPrototypeUnique;
 //
 // https://www.icann.org/resources/pages/listing-2012-02-25-en
 // Seems to mostly duplicat the IANA database
-//
-// https://www.icann.org/resources/registries/gtlds/v1/newgtlds.csv
-// Has delegation date, application Id, and signing date got gTLD
+
+// URLs of all the sources below
+export { ROOT_ZONE_URL, IANA_DB_URL, STATUS_PERIODS_URL, REGISTRY_AGREEMENT_URL,
+  IDN_TABLES_URL, RDAP_BOOTSTRAP_URL, NEW_GTLDS_CSV_URL, PUBLIC_SUFFIX_LIST_URL };
+
+// Sources `getTLDData()` runs by default and the fields it can reuse from
+// previous data
+export { DEFAULT_SOURCES, REUSABLE_FIELDS, createPublicSuffixListSource } from './sources/index.js';
+
+// Logs and throws if a response isn't a 2xx
+function checkResponse(resp, log) {
+  if (!resp.ok) {
+    log.error('Fetch failed', { code: 'FETCH_FAILED', url: resp.url, status: resp.status, statusText: resp.statusText });
+    throw new Error(`Fetch of '${resp.url}' failed with '${resp.status} ${resp.statusText}'`);
+  }
+}
 
 /**
- * Queries DNS root zone for all TLD strings from
+ * Downloads and parses the DNS root zone from
  * http://www.internic.net/domain/root.zone
  * (most accurate on what's currently active but no categorical info or anything)
+ * @returns {Object[]} Array with an object for every TLD in the root zone, with
+ * its nameservers, glue and DS records (see `summarizeRootZone()`). Punycode
+ * domains (xn--) are decoded to unicode
+ */
+export async function getRootZone() {
+  const log = createLogger('rootZone');
+  log.debug('Fetching', { url: ROOT_ZONE_URL });
+  const resp = await fetch(ROOT_ZONE_URL, { source: 'rootZone' });
+  checkResponse(resp, log);
+  const text = await resp.text();
+
+  log.debug('Parsing');
+  return summarizeRootZone(parseZoneFile(text));
+}
+
+/**
+ * Queries DNS root zone for all TLD strings (see `getRootZone()`)
  * @returns {String[]} Array of all strings from the root zone. Punycode domains
  * (xn--) are decoded to unicode
  */
 export async function getTLDsFromRootZone() {
-  process.stderr.write('Fetching...\n');
-  const resp = await fetch('http://www.internic.net/domain/root.zone');
-  if (!resp.ok) {
-    console.error(resp);
-    throw new Error(`Fetch failed with '${resp.statusCode} ${resp.statusMessage}'`);
-  }
-  const text = await resp.text();
+  return (await getRootZone()).map(o => o.tld);
+}
 
-  process.stderr.write('\rParsing...\n');
-  return text.split('\n')
-    // Get up to first whitespace (the xxx.yyy.zzz. portion)
-    .map(s => s.slice(0, s.search(/\s/)))
-    // For TLDs, the first '.' will be at the end of the string, filter out the rest
-    .filter(s => s.indexOf('.') === s.length - 1)
-    .map(s => s.slice(0,-1))
-    .filter(s => !!s)
-    .map(s => s.startsWith('xn--') ? punycode.decode(s.slice(4)) : s)
-    .unique();
+/**
+ * Reads the IANA RDAP bootstrap file for DNS (RFC 7484) from
+ * https://data.iana.org/rdap/dns.json
+ * which is what RDAP clients use to find the server for a domain
+ * @returns {Object[]} Array with an object for every TLD with RDAP service
+ * * `.tld` - TLD string, already decoded from punycode
+ * * `.rdapBaseUrls` - Base URLs of its RDAP servers (ending in '/')
+ */
+export async function getTLDsFromRDAPBootstrap() {
+  const log = createLogger('rdapBootstrap');
+  log.debug('Fetching', { url: RDAP_BOOTSTRAP_URL });
+  const resp = await fetch(RDAP_BOOTSTRAP_URL, { source: 'rdapBootstrap' });
+  checkResponse(resp, log);
+  const bootstrap = await resp.json();
+
+  log.debug('Parsing');
+  _assert(Array.isArray(bootstrap.services), 'RDAP bootstrap should have a services array');
+  return bootstrap.services
+    // Each service is [[...tlds], [...urls]]
+    .map(([tlds, urls]) => tlds.map(tld => ({
+      tld: punycode.toUnicode(tld.toLowerCase()),
+      rdapBaseUrls: urls.map(url => url.endsWith('/') ? url : url + '/')
+    })))
+    .flat();
 }
 
 /**
@@ -74,15 +121,13 @@ export async function getTLDsFromRootZone() {
  * * `.sponsor` - The sponsoring organization
  */
 export async function getTLDInfoFromIANADB() {
-  process.stderr.write('Fetching...\n');
-  const resp = await fetch('https://www.iana.org/domains/root/db');
-  if (!resp.ok) {
-    console.error(resp);
-    throw new Error(`Fetch failed with '${resp.statusCode} ${resp.statusMessage}'`);
-  }
+  const log = createLogger('ianaDB');
+  log.debug('Fetching', { url: IANA_DB_URL });
+  const resp = await fetch(IANA_DB_URL, { source: 'ianaDB' });
+  checkResponse(resp, log);
   const text = await resp.text();
 
-  process.stderr.write('Parsing...\n');
+  log.debug('Parsing');
   const dom = new JSDOM(text);
   return Array.from(dom.window.document.querySelectorAll('#tld-table tbody tr'))
     .map(tr => Array.from(tr.children).map(td => td.textContent.trim()))
@@ -97,6 +142,212 @@ export async function getTLDInfoFromIANADB() {
     });
 }
 
+/**
+ * Scrapes a TLD's detail page on the IANA DB, like
+ * https://www.iana.org/domains/root/db/com.html
+ * @param {String} tld The TLD, in punycode
+ * @returns {Object} Anything not found on the page is left out
+ * * `.sponsor` - The sponsoring organisation (TLD manager)
+ * * `.administrativeContactOrg` - Organisation of the administrative contact
+ * * `.technicalContactOrg` - Organisation of the technical contact
+ * * `.whoisServer` - Hostname of the WHOIS server
+ * * `.rdapBaseUrl` - Base URL of the RDAP server
+ * * `.registrationDate` - When the TLD was delegated, YYYY-MM-DD
+ * * `.recordLastUpdated` - When IANA last updated this record, YYYY-MM-DD
+ * * `.pageURL` - URL of the page
+ */
+export async function getTLDDetailsFromIANA(tld) {
+  const log = createLogger('ianaDetail');
+  const pageURL = `${IANA_DB_URL}/${tld}.html`;
+  log.debug('Fetching IANA detail page', { tld, url: pageURL });
+  const resp = await fetch(pageURL, { source: 'ianaDetail' });
+  checkResponse(resp, log);
+  const text = await resp.text();
+  const document = new JSDOM(text).window.document;
+
+  // Every part of the page is an <h2> followed by elements up until the next one
+  const sections = Array.from(document.querySelectorAll('h2'))
+    .map(h2 => {
+      const els = [];
+      for (let el = h2.nextElementSibling; el && el.tagName !== 'H2'; el = el.nextElementSibling) {
+        els.push(el);
+      }
+      return [h2.textContent.trim(), els];
+    });
+  // The organisation is the first bold line of a contact (not a label like 'Email:')
+  const orgOf = (headingRegex) => {
+    const section = sections.find(([heading]) => headingRegex.test(heading));
+    const org = section && section[1]
+      .map(el => Array.from(el.querySelectorAll('b')))
+      .flat()
+      .map(b => b.textContent.trim())
+      .find(t => t && !t.endsWith(':'));
+    return org || undefined;
+  };
+  // Values are the text after a bold label like 'WHOIS Server:'
+  const valueOf = (label) => {
+    const b = Array.from(document.querySelectorAll('b'))
+      .find(b => b.textContent.trim().replace(/:$/, '').trim() === label);
+    const value = b && b.nextSibling && b.nextSibling.textContent.trim();
+    return value || undefined;
+  };
+  const pageText = document.body.textContent;
+  const dateOf = (regex) => {
+    const match = pageText.match(regex);
+    return match ? match[1] : undefined;
+  };
+
+  const details = {
+    sponsor: orgOf(/^(Sponsoring Organi[sz]ation|(cc)?TLD Manager)$/i),
+    administrativeContactOrg: orgOf(/^Administrative Contact$/i),
+    technicalContactOrg: orgOf(/^Technical Contact$/i),
+    whoisServer: valueOf('WHOIS Server'),
+    rdapBaseUrl: valueOf('RDAP Server'),
+    registrationDate: dateOf(/Registration date (\d{4}-\d{2}-\d{2})/),
+    recordLastUpdated: dateOf(/Record last updated (\d{4}-\d{2}-\d{2})/)
+  };
+  return {
+    ...Object.fromEntries(Object.entries(details).filter(([k, v]) => v !== undefined)),
+    pageURL
+  };
+}
+
+/**
+ * Scrapes the IDN tables registered with IANA
+ * https://www.iana.org/domains/idn-tables
+ * Registries register a table for every language/script they allow in domain
+ * names (and a new one for every version of it)
+ * @returns {Object[]} Array with an object for every TLD with IDN tables
+ * * `.tld` - TLD string, already decoded from punycode
+ * * `.scripts` - The languages/scripts of its tables, as named by IANA
+ */
+export async function getIDNTablesFromIANA() {
+  const log = createLogger('idnTables');
+  log.debug('Fetching', { url: IDN_TABLES_URL });
+  const resp = await fetch(IDN_TABLES_URL, { source: 'idnTables' });
+  checkResponse(resp, log);
+  const text = await resp.text();
+
+  log.debug('Parsing');
+  const dom = new JSDOM(text);
+  const scriptsByTLD = new Map();
+  Array.from(dom.window.document.querySelectorAll('#idn-table tbody tr'))
+    .map(tr => Array.from(tr.children).map(td => td.textContent.trim()))
+    .forEach(([tld, script]) => {
+      // Remove leading '.' and any Unicode LTR/RTL marks, some are listed in punycode
+      tld = punycode.toUnicode(tld.replace(/[.\u200F\u200E]/g, ''));
+      scriptsByTLD.set(tld, [...(scriptsByTLD.get(tld) || []), script]);
+    });
+  return Array.from(scriptsByTLD.entries())
+    .map(([tld, scripts]) => ({ tld, scripts: scripts.unique() }));
+}
+
+// Splits CSV text into rows of fields, handling quoted fields with commas,
+// escaped quotes ("") and newlines in them
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      }
+      else if (c === '"') {
+        quoted = false;
+      }
+      else {
+        field += c;
+      }
+    }
+    else if (c === '"') {
+      quoted = true;
+    }
+    else if (c === ',') {
+      row.push(field);
+      field = '';
+    }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    }
+    else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    rows.push([...row, field]);
+  }
+  return rows;
+}
+
+/**
+ * Reads ICANN's list of new gTLDs
+ * https://www.icann.org/resources/registries/gtlds/v1/newgtlds.csv
+ * which has the delegation date of every gTLD from the 2012 round (the legacy
+ * gTLDs aren't in it)
+ * @returns {Object[]} Array with an object for every delegated gTLD
+ * * `.tld` - TLD string, already decoded from punycode
+ * * `.delegationDate` - When it was delegated (YYYY-MM-DD)
+ */
+export async function getGTLDsFromNewGTLDsCSV() {
+  const log = createLogger('newGTLDs');
+  log.debug('Fetching', { url: NEW_GTLDS_CSV_URL });
+  const resp = await fetch(NEW_GTLDS_CSV_URL, { source: 'newGTLDs' });
+  checkResponse(resp, log);
+  const text = await resp.text();
+
+  log.debug('Parsing');
+  // There are some lines of notes before the header
+  const rows = parseCSV(text);
+  const headerIdx = rows.findIndex(r => r.includes('TLD') && r.includes('Delegation Date'));
+  _assert(headerIdx !== -1, 'newgtlds.csv should have a header with TLD and Delegation Date');
+  const tldCol = rows[headerIdx].indexOf('TLD');
+  const delegationCol = rows[headerIdx].indexOf('Delegation Date');
+  return rows
+    .slice(headerIdx + 1)
+    .filter(r => r[tldCol] && r[delegationCol])
+    .map(r => {
+      const date = dayjs(r[delegationCol].trim(), ['YYYY-MM-DD', 'D MMM YYYY'], true);
+      _assert(date.isValid(), `'${r[tldCol]}' has an invalid delegation date '${r[delegationCol]}'`);
+      return {
+        tld: punycode.toUnicode(r[tldCol].trim().toLowerCase()),
+        delegationDate: date.format('YYYY-MM-DD')
+      };
+    });
+}
+
+/**
+ * Reads the Public Suffix List, by default from
+ * https://publicsuffix.org/list/public_suffix_list.dat
+ * @param {String} [location] URL or local path of the list
+ * @returns {object} `parsePSL()` of the list plus `.url`, where it was read from
+ */
+export async function getPublicSuffixList(location = PUBLIC_SUFFIX_LIST_URL) {
+  const log = createLogger('publicSuffixList');
+  let text;
+  if (/^https?:\/\//.test(location)) {
+    log.debug('Fetching', { url: location });
+    const resp = await fetch(location, { source: 'publicSuffixList' });
+    checkResponse(resp, log);
+    text = await resp.text();
+  }
+  else {
+    log.debug('Reading', { path: location });
+    text = fs.readFileSync(location, 'utf8');
+  }
+
+  log.debug('Parsing');
+  return { ...parsePSL(text), url: location };
+}
+
 /**
  * Scrapes the given ICANN registry agreement for a _gTLD_. This contains the
  * best public source of truth for how a certain TLD/registry will handle it's
@@ -127,25 +378,26 @@ export async function getTLDInfoFromIANADB() {
  *     9 and it has not been withdrawal. Specification 9 exemption is very similar
  *     to a Specification 13 addition. The last bullet at specification 9 basically
  *     specifies it is a TLD only meant for registry and affiliates.
+ * * `.restrictions` - Only if `.hasSpec12`, what the restrictions in Specification 12
+ *     are, `{ types, eligibility }` (see `classifyRestrictions()`)
+ * * `.pageURL` - URL of the registry agreement page (where spec 13/9 is checked)
+ * * `.agreementURL` - URL of the registry agreement HTML (where spec 12 is checked)
  */
 export async function gTLDInfoFromRegistryAgreement(gTLD) {
-  process.stderr.write(`Fetching gTLD registry agreement page for ${gTLD}\n`);
-  const resp = await fetch(`https://www.icann.org/en/about/agreements/registries/${gTLD}`);
-  if (!resp.ok) {
-    console.error(resp);
-    throw new Error(`Fetch for '${gTLD}' failed with '${resp.statusCode} ${resp.statusMessage}'`);
-  }
+  const log = createLogger('registryAgreement');
+  const pageURL = REGISTRY_AGREEMENT_URL + gTLD;
+  log.debug('Fetching gTLD registry agreement page', { tld: gTLD, url: pageURL });
+  const resp = await fetch(pageURL, { source: 'registryAgreement' });
+  checkResponse(resp, log);
   const text = await resp.text();
   const dom = new JSDOM(text);
 
-  process.stderr.write(`Parsing gTLD registry agreement page for ${gTLD}\n`);
+  log.debug('Parsing gTLD registry agreement page', { tld: gTLD });
   const agreementHTMLLinkEl = dom.window.document.querySelector('[data-radocumenttype="AGREEMENT-HTML"]');
   if (!agreementHTMLLinkEl) {
-    process.stderr.write('Dumping dom in weird error case\n');
-    process.stderr.write('Site updated?\n');
-    process.stderr.write('===============================\n');
-    process.stderr.write(text);
-    process.stderr.write('===============================\n');
+    log.error('Registry agreement page has no link to the agreement HTML, site updated?', {
+      code: 'AGREEMENT_LINK_MISSING', tld: gTLD, url: pageURL, length: text.length });
+    log.debug('Registry agreement page', { tld: gTLD, html: text });
   }
   _assert(agreementHTMLLinkEl, `'[data-radocumenttype="AGREEMENT-HTML"]' on ${gTLD} should be present`);
 
@@ -156,23 +408,31 @@ export async function gTLDInfoFromRegistryAgreement(gTLD) {
   // This points to an ICANN CDN domain thing
   const registryAgreementHTMLHref = agreementHTMLLinkEl.getAttribute('href');
 
-  process.stderr.write(`Fetching gTLD registry agreement HTML for ${gTLD}\n`);
-  const resp2 = await fetch(registryAgreementHTMLHref);
-  if (!resp2.ok) {
-    console.error(resp2);
-    throw new Error(`Fetch2 for '${gTLD}' failed with '${resp2.statusCode} ${resp2.statusMessage}'`);
-  }
+  log.debug('Fetching gTLD registry agreement HTML', { tld: gTLD, url: registryAgreementHTMLHref });
+  const resp2 = await fetch(registryAgreementHTMLHref, { source: 'registryAgreement' });
+  checkResponse(resp2, log);
   const text2 = await resp2.text();
 
   const hasSpec12 = text2.includes("SPECIFICATION 12");
-
-  return { hasSpec13, hasSpec12, hasSpec9Exemption };
+  // Outliers (restrictions in an amendment PDF or acceptable use policy) won't
+  // have anything to classify, so no `restrictions`
+  const restrictions = hasSpec12 ?
+    classifyRestrictions(extractSpec12(text2) || '') : undefined;
+
+  return { hasSpec13, hasSpec12, hasSpec9Exemption,
+    ...(restrictions ? { restrictions } : {}),
+    pageURL, agreementURL: registryAgreementHTMLHref };
 }
 
 /**
  * Retrieves all sunrise/sunset data from the export on
  * https://newgtlds.icann.org/en/program-status/sunrise-claims-periods
  * Only available for gTLDs
+ * @param {dayjs} [now] The date to check General Availability against
+ * @param {object} [opts]
+ * * `.onError(tld, error)` - Called for rows that can't be parsed (like an
+ *     unknown sunrise type, an invalid date or other periods that don't line
+ *     up, see `parseStatusPeriodsRow()`), which are left out. Without it they throw
  * @returns {Object[]} Array of objects, one per TLD, defining the periods and dates
  * for the TLD
  * ```
@@ -183,114 +443,45 @@ export async function gTLDInfoFromRegistryAgreement(gTLD) {
  *   .periods.open - Open date of the period (might be omitted)
  *   .periods.close - Close date of the period (might be omitted)
  *   .periods.type - For "other periods", the string in the type field (might be omitted)
- * .isNotGenerallyAvailable - If the TLD is NOT in General Availability, therefore not registerable (NOTE: NOT ACCURATE)
+ *   .periods.kind - The name and type normalized into one of `PERIOD_KINDS`
+ * .lastUpdated - When ICANN last updated the TLD's row (YYYY-MM-DD, might be omitted)
+ * .isNotGenerallyAvailable - If the TLD is NOT in General Availability, therefore not registerable,
+ *   from the periods alone (see `estimateGA()`, `getTLDData()` uses more estimators)
  * ```
  */
-export async function getTLDsWithStatusPeriods() {
-  process.stderr.write(`Fetching gTLD sunrise, sunset data\n`);
-  const resp = await fetch('https://newgtlds.icann.org/program-status/sunrise-claims-periods.xls');
-  if (!resp.ok) {
-    console.error(resp);
-    throw new Error(`Fetch failed with '${resp.statusCode} ${resp.statusMessage}'`);
-  }
+export async function getTLDsWithStatusPeriods(now = dayjs(), { onError } = {}) {
+  const log = createLogger('statusPeriods');
+  log.debug('Fetching gTLD sunrise, sunset data', { url: STATUS_PERIODS_URL });
+  const resp = await fetch(STATUS_PERIODS_URL, { source: 'statusPeriods' });
+  checkResponse(resp, log);
   const text = await resp.text();
 
-  process.stderr.write(`Parsing gTLD sunrise, sunset data\n`);
+  log.debug('Parsing gTLD sunrise, sunset data');
   // So ironically... this is not an .xls file (even though the site says so?) but
   // an HTML table... So that's cool and easier to parse.
   const dom = new JSDOM(text);
   const ret = Array.from(dom.window.document.querySelectorAll('tbody tr'))
     .map(tr => Array.from(tr.children).map(td => td.textContent.trim()))
-    .map((rows) => {
-      const [tld, type, sunriseOpenDate, sunriseCloseDate, trademarkClaimsOpenDate,
-        trademarkClaimsCloseDate, otherPeriodFrom, otherPeriodName, otherPeriodTo, otherPeriodType,
-        lastUpdated] = rows;
-
-      // Defines the type of sunrise the registry has
-      // https://en.wikipedia.org/wiki/Sunrise_period
-      const types = ['Start Date Sunrise', 'End Date Sunrise', 'Spec 13 - .BRAND TLD']
-      _assert(type === '' || types.includes(type.trim()), `'${tld}' sunrise event type must be in well-known types or blank`);
-
-      // Parse all the period information
-      // Other periods are CSV'd (if there are any)
-      function makePeriod(name, open, close, type) {
-        _assert(name, 'No period name given');
-        if (!open && !close) {
-          return [];
-        }
-
-        return [{
-          name,
-          ...(open ? { open: dayjs(open, 'D MMM YYYY', true) } : {} ),
-          ...(close ? { close: dayjs(close, 'D MMM YYYY', true) } : {} ),
-          ...(type ? { type } : {} ),
-        }];
+    .map(cells => {
+      try {
+        const { tld, spec13, periods, lastUpdated } = parseStatusPeriodsRow(cells);
+        // No date at all means GA hasn't been announced yet
+        const { gaDate } = estimateGA({ periods });
+        return {
+          tld: punycode.toUnicode(tld),
+          spec13,
+          periods,
+          ...(lastUpdated ? { lastUpdated } : {}),
+          isNotGenerallyAvailable: gaDate === undefined ? true : dayjs(gaDate).isAfter(now)
+        };
       }
-
-      let otherPeriods = [];
-      if (otherPeriodName !== '') {
-        otherPeriods = otherPeriodFrom.split(',')
-          // TODO: If there's ',' in the name field or type field, it doesn't necessarily work
-          // well...
-          .map((from, idx) => makePeriod(otherPeriodName.split(',')[idx].trim(), from.trim(),
-            otherPeriodTo.split(',')[idx].trim(), otherPeriodType.split(',')[idx].trim()))
-          .flat();
+      catch (e) {
+        if (!onError) {
+          throw e;
+        }
+        onError(punycode.toUnicode(cells[0]), e);
+        return undefined;
       }
-
-      const periods = [
-        ...makePeriod('Sunrise', sunriseOpenDate, sunriseCloseDate),
-        ...makePeriod('Trademark Claims', trademarkClaimsOpenDate, trademarkClaimsCloseDate),
-        ...otherPeriods
-      ];
-
-      // General Availability...
-      // There's no good way to get this data, I assume you have to be talking
-      // to the registrars to know when the real date is...
-      // Here's some guesses
-      // 1) Use the last date in the periods that isn't "Trademark Claims"
-      // Delegated -> Sunrise -> Landrush -> General Availability
-      // 2) Use 90 days before the end of "Trademark Claims" (ICANN requires 90 days of
-      // trademark claims at least from General Availability launch:
-      // https://www.trademark-clearinghouse.com/help/faq/how-will-trademark-claims-service-function
-      // Neither of these are super accurate from checking. Sometimes #1 can be
-      // off by years (e.g. .homes) and I've seen #2 off by at least 2 months...
-      // So we just choose a safe bet (guess 1) as there's more likely to be at
-      // least 1 close date
-      const generalAvailabilityGuess1 = periods
-        .filter(p => p.name !== 'Trademark Claims')
-        .map(p => p.close)
-        .filter(d => !!d)
-        // Find highest
-        .reduce((acc, itm) => {
-          if (acc === undefined) {
-            return itm;
-          }
-          return acc.isAfter(itm) ? acc : itm;
-        }, undefined);
-      //const generalAvailabilityGuess2 = Date.parse(trademarkClaimsCloseDate) - (90 * 24 * 60 * 60 * 1000); //NaN if date fails to parse
-      // undefined === No .close date specified
-      const isNotGenerallyAvailable = generalAvailabilityGuess1 === undefined ?
-        true : generalAvailabilityGuess1.isAfter(dayjs());
-
-      // Convert periods to the output objects (no dayjs())
-      const outPeriods = periods.slice()
-        .map(p => {
-          const ret = Object.assign({}, p);
-          if (ret.open) {
-            ret.open = ret.open.format('YYYY-MM-DD')
-          }
-          if (ret.close) {
-            ret.close = ret.close.format('YYYY-MM-DD')
-          }
-          return ret;
-        });
-
-      return {
-        tld: punycode.toUnicode(tld),
-        spec13: type.trim() === 'Spec 13 - .BRAND TLD',
-        periods: outPeriods,
-        isNotGenerallyAvailable
-      };
     })
     .filter(o => !!o);
 
@@ -299,130 +490,113 @@ export async function getTLDsWithStatusPeriods() {
 }
 
 /**
- * Retrieve all the TLD data
- * @param {Object} Object of tlds mapped to objects to use for the manual data
- * step
+ * Retrieve all the TLD data by running the sources (see `runPipeline()`)
+ * @param {Object} Object of tlds mapped to previous values to reuse instead of
+ * fetching the registry agreements and IANA detail pages (see
+ * `previousDataForReuse()` and `REUSABLE_FIELDS`). Each of `.isBrand` and
+ * `.hasRestrictions` is reused on its own, the agreement is only skipped if both
+ * are. The detail page is skipped if `.recordLastUpdated` is reused, along with
+ * the other detail fields. Can have `.sources` with the original provenance of
+ * the values
+ * @param {Object} [opts]
+ * * `.now` - dayjs() of the date to treat as now, for rebuilding from old snapshots
+ * * `.provenance` - Add `.sources` to every TLD object
+ * * `.previous` - TLD objects of the previous data, to check `.thresholds` against
+ *     and to fall back to when a source fails for a TLD (see `runPipeline()`)
+ * * `.strict` - Throw when a source fails for any TLD instead of falling back
+ * * `.thresholds` - Overrides for the sanity thresholds (see `DEFAULT_THRESHOLDS`
+ *     in `src/validate.js`). Throws instead of returning data that fails them or
+ *     `tldData.schema.json`. `requiredGenericFields` defaults to only the ones
+ *     the sources contribute
+ * * `.sources` - The sources to run (default: `DEFAULT_SOURCES` from
+ *     `src/sources/index.js`), like `selectSources(DEFAULT_SOURCES, ...)` or
+ *     with your own added. Fields in their `.schema` are validated too
  * @returns {object[]}
  * * `.tld` - TLD string
  * * `.type` - The type of TLD (see `getTLDInfoFromIANADB()`)
  * * `.isBrand` - If present, is a brand TLD (only .type generic will have)
  * * `.hasRestrictions` - If present, the TLD has restrictions for registering
+ * * `.restrictions` - If the restrictions were found in the registry agreement,
+ *     `{ types, eligibility }` (see `classifyRestrictions()`)
+ * * `.sponsor` - The sponsoring organisation (TLD manager)
+ * * `.tldAscii`, `.isIDN`, `.tldScripts`, `.tldDirection` - The ASCII form,
+ *     scripts and text direction of the TLD (see `idnInfo()`)
+ * * `.idnCountry`, `.asciiCounterpart` - For curated IDN ccTLDs, the country
+ *     and its ASCII ccTLD
+ * * `.administrativeContactOrg`, `.technicalContactOrg`, `.whoisServer`,
+ *     `.registrationDate`, `.recordLastUpdated` - From the IANA detail page if
+ *     present (see `getTLDDetailsFromIANA()`)
+ * * `.rdapBaseUrls` - Base URLs of the RDAP servers from the RDAP bootstrap, or
+ *     the one on the IANA detail page if the bootstrap doesn't list the TLD.
+ *     Missing if the TLD has no RDAP service
+ * * `.nameservers`, `.glue`, `.dsRecords` - The NS, glue A/AAAA and DS records
+ *     from the root zone (see `summarizeRootZone()`)
+ * * `.isDNSSECSigned` - If the TLD has a DS record in the root zone
+ * * `.dsAlgorithms` - The DNSSEC algorithm numbers of its DS records
+ * * `.localPresence` - For curated ccTLDs, if registrants need a local presence,
+ *     'none', 'required' or 'trustee' (can be met with a local contact/agent)
+ * * `.registersAtSecondLevel` - For curated ccTLDs, if names can be registered
+ *     directly under the TLD
+ * * `.secondLevelDomains` - For curated ccTLDs, the common second level domains
+ *     names can be registered under (like co.uk)
+ * * `.idnScripts` - Languages/scripts of the IDN tables the TLD has with IANA
+ * * `.gaDate`, `.gaConfidence` - For new gTLDs, the estimated General
+ *     Availability date and how much to trust it (see `estimateGA()`)
+ * * `.isNotInGeneralAvailability` - For new gTLDs, if `.gaDate` is after `opts.now`
+ * * `.stale` - If a source failed for the TLD so some fields are from
+ *     `opts.previous` (or missing if it didn't have them)
+ * * `.sources` - If `opts.provenance`, an object of field names mapped to where
+ *     the value came from (see `provenance()`)
+ * * `.fetchedAt` - The fields carried over from `prevData` or `opts.previous`
+ *     mapped to when they were originally fetched (if known), so their age
+ *     survives the run with or without `opts.provenance`
+ * * Any fields of your own sources
  */
-export async function getTLDData(prevData) {
-  // == 1. Download the root zone and get all TLDs ==
-  process.stderr.write(chalk.bgWhite.black('== TLDs from root zone ==\n'));
-  const rootZoneTLDStrs = await getTLDsFromRootZone();
-  let tlds = rootZoneTLDStrs
-    .map(s => ({
-      tld: s
-    }));
-  process.stderr.write(`Found TLDs: ${chalk.yellow(tlds.length)}\n`);
-
-  // == 2. Load in categorical info from IANA DB ==
-  process.stderr.write(chalk.bgWhite.black('== TLDs and categories from IANA Root DB ==\n'));
-  const ianaDBTLDs = await getTLDInfoFromIANADB();
-  process.stderr.write(`* Found TLDs: ${chalk.yellow(ianaDBTLDs.length)}\n`);
-  const prettyTypes = ianaDBTLDs
-    .map(o => o.type)
-    .unique()
-    .map(c => chalk.yellow(c))
-    .join(', ');
-  process.stderr.write(`* Found types: ${prettyTypes}\n`);
-  const diffWithRootZone = diffArrayUnordered(ianaDBTLDs.map(o => o.tld), rootZoneTLDStrs);
-  process.stderr.write(`* Diff with root zone: ${diffWithRootZone}\n`);
-  process.stderr.write('(note): TLDs might be in this source but not in the root zone if the TLD is delegated but not in DNS or if the registry service has been terminated\n');
-
-  // Combine using previous data, but use root zone as source of truth
-  process.stderr.write('Combining with previous data\n');
-  tlds.forEach(t => {
-    const ianaDBTLD = ianaDBTLDs.find(o2 => t.tld === o2.tld);
-    // IANA data should be exhaustive and define all TLDs in the root zone
-    _assert(ianaDBTLD, `'${t.tld}' must exist in the IANA DB but it didn't`);
-
-    t.type = ianaDBTLD.type;
-  });
-  process.stderr.write('Combined\n');
-
-  // == 3. Load in period/sunrise/sunset data ==
-  process.stderr.write(chalk.bgWhite.black('== gTLDs with status periods ==\n'));
-  const sunriseSunsetTLDs = await getTLDsWithStatusPeriods();
-  process.stderr.write(`* Found gTLDs: ${chalk.yellow(sunriseSunsetTLDs.length)}\n`);
-  const prettyTLDsWithNoStatus = tlds
-    .filter(t => t.type === 'generic')
-    .filter(t => !['com', 'info', 'net', 'org', 'mobi'].includes(t.tld))
-    .filter(t => !sunriseSunsetTLDs.find(o => o.tld === t.tld))
-    .map(t => chalk.yellow(t.tld))
-    .join(', ');
-  process.stderr.write(`* gTLDs with no status: ${prettyTLDsWithNoStatus}\n`);
-  const prettyTLDsWithNotPast = sunriseSunsetTLDs
-    .filter(o => o.isNotGenerallyAvailable)
-    .map(o => o.spec13 ? `*${chalk.gray(o.tld)}` : chalk.yellow(o.tld))
-    .join(', ');
-  process.stderr.write(`* gTLDs which haven't hit General Availability yet (*${chalk.gray('has spec 13')}): ${prettyTLDsWithNotPast}\n`);
-
-  process.stderr.write('Combining with previous data\n');
-  tlds
-    .filter(t => t.type === 'generic')
-    .filter(t => !['com', 'info', 'net', 'org', 'mobi'].includes(t.tld))
-    .forEach(t => {
-      const o = sunriseSunsetTLDs.find(o => o.tld === t.tld);
-      if (!o) {
-        // If not found, then it's not available
-        t.isNotInGeneralAvailability = false;
-        return;
-      }
-
-      t.periods = o.periods;
-      t.isNotInGeneralAvailability = o.isNotGenerallyAvailable;
-    });
-  process.stderr.write('Combined\n');
-
-  // == 4. Brand TLD & TLD restrictions ==
-  process.stderr.write(chalk.bgWhite.black('== TLD information from registry agreements ==\n'));
-  // This is data for which we don't have automation
-  const manualData = {
-    // generic
-    ...mapReduceToObj(
-      ['com', 'info', 'net', 'org', 'mobi'],
-      {}),
-
-    // sponsorted (sTLD)
-    ...mapReduceToObj(
-      ['aero', 'asia', 'cat', 'coop', 'edu', 'gov', 'int', 'jobs', 'mil', 'museum', 'post', 'tel', 'travel', 'xxx'],
-      { isBrand: false, hasRestrictions: true }),
-
-    // generic-restricted
-    ...mapReduceToObj(
-      ['biz', 'name', 'pro'],
-      { isBrand: false, hasRestrictions: true }),
-
-    // infrastructure
-    arpa: { isBrand: false, hasRestrictions: true },
-
-    // Anything from the outside
-    ...prevData
+export async function getTLDData(prevData, { now = dayjs(), provenance: withProvenance = false,
+  previous, strict = false, thresholds = {}, sources = DEFAULT_SOURCES } = {}) {
+  const fetchers = {
+    getRootZone, getTLDInfoFromIANADB, getTLDsWithStatusPeriods, getGTLDsFromNewGTLDsCSV,
+    gTLDInfoFromRegistryAgreement, getTLDDetailsFromIANA, getTLDsFromRDAPBootstrap,
+    getIDNTablesFromIANA, getPublicSuffixList
   };
-
-  const poolWorkerNum = os.cpus().length;
-  await mapLimit(tlds, poolWorkerNum, async o => {
-    if(manualData[o.tld]) {
-      Object.assign(o, manualData[o.tld]);
-      return;
-    }
-    // All gTLDs are marked 'generic', but also includes some that aren't new gTLDs
-    // like .com and .net, which the if clause above should solve
-    else if(o.type === 'generic') {
-      await new Promise((resolve) => resolve());
-      const asciiTLD = punycode.toASCII(o.tld);
-      const info = await gTLDInfoFromRegistryAgreement(asciiTLD);
-      process.stderr.write(`Got data for ${asciiTLD}, ${JSON.stringify(info)}\n`);
-      Object.assign(o, {
-        isBrand: info.hasSpec13 || info.hasSpec9Exemption,
-        hasRestrictions: info.hasSpec12,
-      });
-      return;
+  const { tlds, sources: fieldSources, failures } = await runPipeline(sources, {
+    now, prevData, previous, strict, fetch, fetchedAt: getFetchedAt, fetchers });
+  tlds.forEach(t => {
+    const carriedOver = Object.entries(fieldSources[t.tld] || {})
+      .filter(([f, p]) => p.method === 'previous' && p.fetchedAt)
+      .map(([f, p]) => ({ [f]: p.fetchedAt }))
+      .reduce((acc, o) => Object.assign(acc, o), {});
+    if (Object.keys(carriedOver).length) {
+      t.fetchedAt = carriedOver;
     }
   });
+  if (withProvenance) {
+    tlds.forEach(t => t.sources = fieldSources[t.tld]);
+  }
 
+  // Validate before anything gets output
+  const log = createLogger('validate');
+  log.section('Validating');
+  const fields = sources.map(s => s.fields).flat();
+  const fieldSchemas = sources
+    .map(s => s.schema || {})
+    .reduce((acc, o) => Object.assign(acc, o), {});
+  const errors = validateTLDs(tlds, {
+    previous,
+    thresholds: {
+      requiredGenericFields: DEFAULT_THRESHOLDS.requiredGenericFields.filter(f => fields.includes(f)),
+      ...thresholds
+    },
+    // Failed TLDs are already in the failures, a few of them missing fields
+    // is expected
+    exempt: LEGACY_GTLDS,
+    failed: failures.map(f => f.tld),
+    fieldSchemas
+  });
+  if (errors.length) {
+    errors.forEach(e => log.error(e, { code: 'VALIDATION_FAILED' }));
+    throw new Error(`Data failed validation with ${errors.length} errors, not outputting it`);
+  }
+  log.info('Valid');
   return tlds;
 }
@@ -0,0 +1,128 @@
+import yaml from 'js-yaml';
+import { formatPSL } from './psl.js';
+
+/**All the output formats `formatData()` supports
+ */
+export const FORMATS = ['json', 'csv', 'tsv', 'ndjson', 'list', 'yaml', 'psl'];
+
+// Fields of a period, in column order
+const PERIOD_FIELDS = ['name', 'open', 'close', 'type', 'kind'];
+
+/**
+ * Converts a single value to a string for a CSV/TSV cell
+ * Arrays of plain values are joined with ';', other objects become JSON
+ */
+function toCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value) && value.every(v => typeof v !== 'object')) {
+    return value.join(';');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function escapeCSV(str) {
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function escapeTSV(str) {
+  // TSV has no quoting, so tabs/newlines just become spaces
+  return str.replace(/[\t\r\n]+/g, ' ');
+}
+
+function toDelimited(rows, delimiter) {
+  const escape = delimiter === '\t' ? escapeTSV : escapeCSV;
+  return rows
+    .map(row => row.map(v => escape(toCell(v))).join(delimiter))
+    .join('\n') + '\n';
+}
+
+/**
+ * Converts TLD objects to rows of a CSV/TSV table, one TLD per row, with a
+ * column for every key found on any TLD (in the order they're first seen)
+ * @param {object[]} tlds TLD objects from `getTLDData()`
+ * @param {boolean} periodColumns If the periods should be flattened into
+ * `period1Name`, `period1Open`, ... columns
+ * @returns {Array[]} The header row followed by a row per TLD
+ */
+export function tldsToRows(tlds, periodColumns = true) {
+  const columns = Array.from(new Set(tlds
+    .map(t => Object.keys(t))
+    .flat()
+    .filter(k => k !== 'periods')));
+  const maxPeriods = periodColumns ?
+    Math.max(0, ...tlds.map(t => (t.periods || []).length)) : 0;
+  const periodColumnNames = new Array(maxPeriods).fill()
+    .map((_, i) => PERIOD_FIELDS.map(f => `period${i + 1}${f[0].toUpperCase()}${f.slice(1)}`))
+    .flat();
+
+  return [
+    [...columns, ...periodColumnNames],
+    ...tlds.map(t => [
+      ...columns.map(c => t[c]),
+      ...new Array(maxPeriods).fill()
+        .map((_, i) => PERIOD_FIELDS.map(f => ((t.periods || [])[i] || {})[f]))
+        .flat()
+    ])
+  ];
+}
+
+/**
+ * Converts the periods of TLD objects to rows of a side table with a row per
+ * period (for use with `tldsToRows(tlds, false)`)
+ * @param {object[]} tlds TLD objects from `getTLDData()`
+ * @returns {Array[]} The header row followed by a row per period
+ */
+export function periodsToRows(tlds) {
+  return [
+    ['tld', ...PERIOD_FIELDS],
+    ...tlds
+      .map(t => (t.periods || []).map(p => [t.tld, ...PERIOD_FIELDS.map(f => p[f])]))
+      .flat()
+  ];
+}
+
+/**
+ * Formats the output data
+ * @param {object} outData The data to output, `{ generated, data }`
+ * @param {String} format One of `FORMATS`
+ * @param {object} [opts]
+ * * `.periodColumns` - For csv/tsv, if periods should be flattened into columns
+ *     (default), otherwise they're left out (see `formatPeriodsTable()`)
+ * * `.pslSecondLevel` - For psl, also add the `secondLevelDomains` of the TLDs
+ * @returns {String}
+ */
+export function formatData(outData, format, { periodColumns = true, pslSecondLevel = false } = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(outData, null, 2);
+    case 'csv':
+      return toDelimited(tldsToRows(outData.data, periodColumns), ',');
+    case 'tsv':
+      return toDelimited(tldsToRows(outData.data, periodColumns), '\t');
+    case 'ndjson':
+      return outData.data.map(t => JSON.stringify(t) + '\n').join('');
+    case 'list':
+      return outData.data.map(t => t.tld + '\n').join('');
+    case 'yaml':
+      return yaml.dump(outData);
+    case 'psl':
+      return formatPSL(outData, { secondLevel: pslSecondLevel });
+    default:
+      throw new Error(`Unknown format '${format}', must be one of ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Formats the periods side table for the csv/tsv formats
+ * @param {object} outData The data to output, `{ generated, data }`
+ * @param {String} format 'csv' or 'tsv'
+ * @returns {String}
+ */
+export function formatPeriodsTable(outData, format) {
+  return toDelimited(periodsToRows(outData.data), format === 'tsv' ? '\t' : ',');
+}
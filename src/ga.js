@@ -0,0 +1,137 @@
+import dayjs from 'dayjs';
+
+/**
+ * How much a `gaDate` from `estimateGA()` can be trusted
+ * * `high` - Curated, or the period based estimators agree
+ * * `medium` - Only one period based estimator had a date
+ * * `low` - The estimators disagree, or only the delegation date was known
+ */
+export const GA_CONFIDENCE = ['high', 'medium', 'low'];
+
+/**
+ * Estimators `estimateGA()` uses, in order of preference
+ * * `override` - Curated in data/gaOverrides.json
+ * * `trademarkClaims` - ICANN requires Trademark Claims to run for at least 90
+ *     days from General Availability, so GA is its open date, or 90 days before
+ *     its close date, whichever is earlier
+ * * `periods` - The last close date of the periods that aren't Trademark Claims
+ *     (Delegated -> Sunrise -> Landrush -> General Availability). Can be off by
+ *     years if a period is listed long after GA (e.g. .homes)
+ * * `delegation` - The delegation date from ICANN's newgtlds.csv. GA can't be
+ *     before it but is usually months after, so it's only the estimate of TLDs
+ *     without status periods. For the others it's a lower bound, reported as a
+ *     disagreement when it's after the estimate
+ */
+export const GA_ESTIMATORS = ['override', 'trademarkClaims', 'periods', 'delegation'];
+
+/**
+ * Most days two estimates can be apart and still agree
+ */
+export const GA_AGREEMENT_DAYS = 30;
+
+// ICANN's minimum length of the Trademark Claims period from GA
+const TRADEMARK_CLAIMS_DAYS = 90;
+
+function latest(dates) {
+  return dates.reduce((acc, d) => acc === undefined || d.isAfter(acc) ? d : acc, undefined);
+}
+
+function earliest(dates) {
+  return dates.reduce((acc, d) => acc === undefined || d.isBefore(acc) ? d : acc, undefined);
+}
+
+function daysApart(a, b) {
+  return Math.abs(a.diff(b, 'day'));
+}
+
+// The date of every estimator that has one, as `[estimator, dayjs]`
+function estimatesOf({ periods = [], delegationDate, override }) {
+  const claims = periods.find(p => p.name === 'Trademark Claims');
+  const claimsDates = claims ? [
+    ...(claims.open ? [dayjs(claims.open)] : []),
+    ...(claims.close ? [dayjs(claims.close).subtract(TRADEMARK_CLAIMS_DAYS, 'day')] : [])
+  ] : [];
+  const periodsDate = latest(periods
+    .filter(p => p.name !== 'Trademark Claims' && p.close)
+    .map(p => dayjs(p.close)));
+  return [
+    ['override', override ? dayjs(override) : undefined],
+    ['trademarkClaims', earliest(claimsDates)],
+    ['periods', periodsDate],
+    ['delegation', delegationDate ? dayjs(delegationDate) : undefined]
+  ].filter(([estimator, date]) => date !== undefined);
+}
+
+/**
+ * Estimates when a gTLD went (or goes) into General Availability. There's no
+ * public source for this (you'd have to ask the registrars) so it combines
+ * every `GA_ESTIMATORS` that has a date
+ * @param {object} info What's known about the TLD
+ * * `.periods` - Its status periods (see `getTLDsWithStatusPeriods()`)
+ * * `.delegationDate` - Its delegation date from newgtlds.csv
+ * * `.override` - Its curated GA date from data/gaOverrides.json
+ * @returns {object}
+ * * `.gaDate` - The estimated GA date (YYYY-MM-DD), omitted if nothing had a
+ *     date, or if a period other than Trademark Claims opens after the estimate
+ *     and has no close date (GA hasn't been announced yet)
+ * * `.gaConfidence` - One of `GA_CONFIDENCE`, omitted with `.gaDate`
+ * * `.estimator` - The `GA_ESTIMATORS` the `.gaDate` came from, omitted with `.gaDate`
+ * * `.estimates` - Object of every estimator that had a date mapped to it
+ * * `.disagreements` - Array of `{ estimator, date, days }` for every other
+ *     estimate more than `GA_AGREEMENT_DAYS` away from `.gaDate`, or after it
+ *     for `delegation` (GA can't be before delegation)
+ */
+export function estimateGA(info) {
+  const estimates = estimatesOf(info);
+  const periods = info.periods || [];
+  const byEstimator = new Map(estimates);
+  const toObj = list => list
+    .map(([estimator, date]) => ({ [estimator]: date.format('YYYY-MM-DD') }))
+    .reduce((acc, o) => Object.assign(acc, o), {});
+  const best = estimates.find(([e]) => e !== 'delegation' || !periods.length);
+  if (!best) {
+    return { estimates: toObj(estimates), disagreements: [] };
+  }
+
+  const [estimator, gaDate] = best;
+  // A period (Sunrise, Landrush, ...) opening after the estimate with no close
+  // date yet means GA is still to come. Ones with a close date are already
+  // weighed by the `periods` estimator, and Trademark Claims opens at GA
+  const lastOpen = latest(periods
+    .filter(p => p.name !== 'Trademark Claims' && p.open && !p.close)
+    .map(p => dayjs(p.open)));
+  if (estimator !== 'override' && lastOpen && lastOpen.isAfter(gaDate)) {
+    return { estimates: toObj(estimates), disagreements: [] };
+  }
+
+  const disagreements = estimates
+    .slice(1)
+    .filter(([e, date]) => e === 'delegation' ?
+      date.isAfter(gaDate) :
+      daysApart(date, gaDate) > GA_AGREEMENT_DAYS)
+    .map(([e, date]) => ({
+      estimator: e,
+      date: date.format('YYYY-MM-DD'),
+      days: date.diff(gaDate, 'day')
+    }));
+
+  let gaConfidence;
+  if (estimator === 'override') {
+    gaConfidence = 'high';
+  }
+  else if (estimator === 'delegation' || disagreements.length) {
+    gaConfidence = 'low';
+  }
+  else {
+    gaConfidence = byEstimator.has('trademarkClaims') && byEstimator.has('periods') ?
+      'high' : 'medium';
+  }
+
+  return {
+    gaDate: gaDate.format('YYYY-MM-DD'),
+    gaConfidence,
+    estimator,
+    estimates: toObj(estimates),
+    disagreements
+  };
+}
@@ -0,0 +1,165 @@
+import dayjs from 'dayjs';
+import { diffTLDData } from './diff.js';
+import { loadDataset } from './schema.js';
+
+/**
+ * Version of the history format (`{ historyVersion, updated, events }`)
+ */
+export const HISTORY_VERSION = 1;
+
+/**
+ * Kinds of changes from `diffTLDData()` that are kept in the history
+ */
+export const HISTORY_KINDS = ['added', 'removed', 'typeChanged', 'brandChanged',
+  'restrictionsChanged', 'availabilityChanged'];
+
+// Fields of a TLD the history tracks (periods change too often to be useful)
+const TRACKED_FIELDS = ['type', 'isBrand', 'hasRestrictions', 'isNotInGeneralAvailability'];
+
+function trackedFieldsOf(t) {
+  return TRACKED_FIELDS
+    .filter(f => t[f] !== undefined)
+    .map(f => ({ [f]: t[f] }))
+    .reduce((acc, o) => Object.assign(acc, o), { tld: t.tld });
+}
+
+/**
+ * Creates an empty history
+ * @returns {object} `{ historyVersion, updated, events }`
+ */
+export function createHistory() {
+  return {
+    historyVersion: HISTORY_VERSION,
+    updated: undefined,
+    events: []
+  };
+}
+
+/**
+ * Checks a parsed history file
+ * @param {object} history
+ * @returns {object} The history
+ */
+export function loadHistory(history) {
+  if (!history || !Array.isArray(history.events)) {
+    throw new Error('History must be an object with an `events` array');
+  }
+  if (history.historyVersion > HISTORY_VERSION) {
+    throw new Error(`History has historyVersion ${history.historyVersion}, this version only supports up to ${HISTORY_VERSION}`);
+  }
+  return history;
+}
+
+// Events sorted by date, keeping the order they were recorded in for ties
+function sortedEvents(history) {
+  return history.events
+    .map((e, i) => [dayjs(e.date), i, e])
+    .sort(([a, ai], [b, bi]) => a.isBefore(b) ? -1 : (b.isBefore(a) ? 1 : ai - bi))
+    .map(([d, i, e]) => e);
+}
+
+/**
+ * Replays the history to find every TLD in the root zone at a point in time
+ * @param {object} history
+ * @param {String|dayjs} [date] Defaults to after the latest event
+ * @returns {object[]} TLD objects with the tracked fields (`type`, `isBrand`,
+ * `hasRestrictions`, `isNotInGeneralAvailability`) as they were at `date`
+ */
+export function historyStateAt(history, date) {
+  const at = date === undefined ? undefined : dayjs(date);
+  const state = new Map();
+  sortedEvents(history)
+    .filter(e => !at || !dayjs(e.date).isAfter(at))
+    .forEach(e => {
+      const t = state.get(e.tld);
+      if (!t && e.kind !== 'added') {
+        return;
+      }
+      switch (e.kind) {
+        case 'added':
+          state.set(e.tld, trackedFieldsOf(e));
+          break;
+        case 'removed':
+          state.delete(e.tld);
+          break;
+        case 'typeChanged':
+          t.type = e.to;
+          break;
+        case 'brandChanged':
+          t.isBrand = e.to;
+          break;
+        case 'restrictionsChanged':
+          t.hasRestrictions = e.to;
+          break;
+        case 'availabilityChanged':
+          t.isNotInGeneralAvailability = !e.to;
+          break;
+      }
+    });
+  return Array.from(state.values());
+}
+
+/**
+ * Lists the TLDs that were in the root zone at a point in time
+ * @param {object} history
+ * @param {String|dayjs} date
+ * @returns {String[]}
+ */
+export function tldsAt(history, date) {
+  return historyStateAt(history, date).map(t => t.tld);
+}
+
+/**
+ * All the events of a single TLD, oldest first
+ * @param {object} history
+ * @param {String} tld The unicode TLD
+ * @returns {object[]}
+ */
+export function tldTimeline(history, tld) {
+  return sortedEvents(history).filter(e => e.tld === tld);
+}
+
+/**
+ * Records the changes between the latest state in the history and a new dataset
+ * @param {object} history From `createHistory()` or a history file
+ * @param {object|object[]} dataset The new data (any schema version)
+ * @returns {object} The updated history (the given one isn't modified). Events
+ * are the changes of `HISTORY_KINDS` from `diffTLDData()` plus `.date`, the
+ * `generated` of the dataset. `added` events also have the tracked fields of the
+ * TLD. For an empty history every TLD is `added` with `.estimated: true`, dated
+ * with its `registrationDate` if known as it wasn't seen being added. Throws if
+ * the dataset is older than the history
+ */
+export function updateHistory(history, dataset) {
+  const { generated, data } = loadDataset(dataset);
+  const date = generated || dayjs().format();
+  if (history.updated && dayjs(date).isBefore(dayjs(history.updated))) {
+    throw new Error(`Dataset generated ${date} is older than the history (updated ${history.updated}), record datasets oldest first`);
+  }
+  const newTLDs = data.map(trackedFieldsOf);
+
+  if (!history.events.length) {
+    return {
+      historyVersion: HISTORY_VERSION,
+      updated: date,
+      events: data.map(t => ({
+        date: t.registrationDate || date,
+        kind: 'added',
+        estimated: true,
+        ...trackedFieldsOf(t)
+      }))
+    };
+  }
+
+  const newByTLD = new Map(newTLDs.map(t => [t.tld, t]));
+  const events = diffTLDData(historyStateAt(history), newTLDs).changes
+    .filter(c => HISTORY_KINDS.includes(c.kind))
+    .map(c => c.kind === 'added' ?
+      { date, ...c, ...newByTLD.get(c.tld) } :
+      { date, ...c });
+  return {
+    historyVersion: HISTORY_VERSION,
+    updated: date,
+    events: [...history.events, ...events]
+  };
+}
@@ -0,0 +1,216 @@
+import HttpProxyAgent from 'http-proxy-agent';
+import HttpsProxyAgent from 'https-proxy-agent';
+import pkg from '../package.json';
+
+/**
+ * How `fetch()` in `src/utils.js` makes requests unless `configureHTTP()` is
+ * told otherwise
+ * * `userAgent` - User-Agent header of every request
+ * * `proxy` - URL of an HTTP(S) proxy to send requests through (default: the
+ *     HTTPS_PROXY/HTTP_PROXY environment variables)
+ * * `noProxy` - Hosts (and their subdomains) not to use the proxy for (default:
+ *     the NO_PROXY environment variable)
+ * * `timeoutMs` - How long a request can take before it fails (and is retried)
+ * * `retries` - How many times to retry network errors, timeouts, 429s and 5xxs
+ * * `retryDelayMs` - Milliseconds before the first retry, tripled for every
+ *     retry after. Retry-After is used instead when the response has one
+ * * `maxRetryDelayMs` - Longest Retry-After to wait for, a longer one fails
+ *     the request instead
+ * * `concurrency` - Most requests to run at once, over all hosts
+ * * `rateLimit` - Most requests per second to a single host (0 for no limit)
+ * * `rateLimits` - Object of hosts mapped to their own requests per second
+ */
+export const DEFAULT_HTTP_CONFIG = {
+  userAgent: `${pkg.name}/${pkg.version} (+${pkg.repository.url})`,
+  proxy: undefined,
+  noProxy: [],
+  timeoutMs: 60 * 1000,
+  retries: 4,
+  retryDelayMs: 10 * 1000,
+  maxRetryDelayMs: 5 * 60 * 1000,
+  concurrency: 4,
+  rateLimit: 2,
+  rateLimits: {}
+};
+
+// Current HTTP configuration, see `configureHTTP()`
+let config = defaultConfig();
+// Proxy agents by protocol, created on first use
+let agents = {};
+// When the next request to each host can start (ms since epoch)
+let nextRequestAt = new Map();
+// Requests running and the ones waiting for one of them to finish
+let running = 0;
+let waiting = [];
+
+// The defaults plus the proxy from the environment
+function defaultConfig() {
+  return { ...DEFAULT_HTTP_CONFIG, proxy: proxyFromEnv(), noProxy: noProxyFromEnv() };
+}
+
+function proxyFromEnv() {
+  const env = process.env;
+  return env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || undefined;
+}
+
+function noProxyFromEnv() {
+  return (process.env.NO_PROXY || process.env.no_proxy || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(s => s);
+}
+
+/**
+ * Configures how `fetch()` in `src/utils.js` makes requests. Resets the rate
+ * limits of every host
+ * @param {Object} [opts] Any of the fields of `DEFAULT_HTTP_CONFIG`, the ones
+ * left out (or undefined) are the default
+ */
+export function configureHTTP(opts = {}) {
+  const defined = Object.entries(opts)
+    .filter(([key, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (!(key in DEFAULT_HTTP_CONFIG)) {
+        throw new Error(`Unknown HTTP option '${key}', must be one of ${Object.keys(DEFAULT_HTTP_CONFIG).join(', ')}`);
+      }
+      return { [key]: value };
+    })
+    .reduce((acc, o) => Object.assign(acc, o), {});
+  const newConfig = { ...defaultConfig(), ...defined };
+  ['timeoutMs', 'retries', 'retryDelayMs', 'maxRetryDelayMs', 'rateLimit']
+    .filter(key => !(Number.isFinite(newConfig[key]) && newConfig[key] >= 0))
+    .forEach(key => {
+      throw new Error(`HTTP option '${key}' must be a number of at least 0`);
+    });
+  if (!Number.isInteger(newConfig.concurrency) || newConfig.concurrency < 1) {
+    throw new Error('HTTP option \'concurrency\' must be a whole number of at least 1');
+  }
+  Object.entries(newConfig.rateLimits)
+    .filter(([host, limit]) => !(Number.isFinite(limit) && limit >= 0))
+    .forEach(([host]) => {
+      throw new Error(`Rate limit of '${host}' must be a number of at least 0`);
+    });
+  config = newConfig;
+  agents = {};
+  nextRequestAt = new Map();
+}
+
+export function getHTTPConfig() {
+  return { ...config, rateLimits: { ...config.rateLimits } };
+}
+
+export function resetHTTP() {
+  config = defaultConfig();
+  agents = {};
+  nextRequestAt = new Map();
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  }
+  catch (e) {
+    // Not an absolute URL (like in tests), rate limit it on its own
+    return String(url);
+  }
+}
+
+/**
+ * The agent for node-fetch to send a request to `url` with, a proxy agent if
+ * there's a proxy and the host isn't in `noProxy`
+ * @param {String} url
+ * @returns {object|undefined}
+ */
+export function agentFor(url) {
+  const host = hostOf(url);
+  if (!config.proxy || config.noProxy.some(h => h === '*' || host === h || host.endsWith(`.${h.replace(/^\./, '')}`))) {
+    return undefined;
+  }
+  const protocol = url.startsWith('https:') ? 'https' : 'http';
+  if (!agents[protocol]) {
+    agents[protocol] = protocol === 'https' ?
+      new HttpsProxyAgent(config.proxy) :
+      new HttpProxyAgent(config.proxy);
+  }
+  return agents[protocol];
+}
+
+/**
+ * Parses a Retry-After header
+ * @param {String} [header] Seconds or an HTTP date
+ * @param {Number} [now] Date.now() to count a date from
+ * @returns {Number|undefined} Milliseconds to wait, undefined if there's no
+ * (valid) header
+ */
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) {
+    return undefined;
+  }
+  if (/^\s*\d+\s*$/.test(header)) {
+    return parseInt(header, 10) * 1000;
+  }
+  const date = Date.parse(header);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Keeps every request to `host` until `ms` from now from starting, like after
+ * a 429 with a Retry-After
+ * @param {String} url Any URL on the host
+ * @param {Number} ms
+ */
+export function pauseHost(url, ms) {
+  const host = hostOf(url);
+  nextRequestAt.set(host, Math.max(nextRequestAt.get(host) || 0, Date.now() + ms));
+}
+
+// Waits until the rate limit of the host allows another request, reserving
+// that spot before waiting so requests queue up in order
+async function waitForHost(host) {
+  const limit = host in config.rateLimits ? config.rateLimits[host] : config.rateLimit;
+  const now = Date.now();
+  const startAt = Math.max(now, nextRequestAt.get(host) || 0);
+  nextRequestAt.set(host, limit ? startAt + 1000 / limit : startAt);
+  if (startAt > now) {
+    await new Promise(resolve => setTimeout(resolve, startAt - now));
+  }
+}
+
+async function acquire() {
+  if (running < config.concurrency) {
+    running++;
+    return;
+  }
+  // The slot is handed over by `release()`, so `running` stays the same
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  }
+  else {
+    running--;
+  }
+}
+
+/**
+ * Runs a single request once the global concurrency and the rate limit of its
+ * host allow it
+ * @param {String} url The URL being requested
+ * @param {Function} request Async function doing the request
+ * @returns {Promise} What `request` resolves to
+ */
+export async function scheduleRequest(url, request) {
+  // The host spot is only reserved once the request can run, or requests stuck
+  // behind a slow one would all start at once when it finishes
+  await acquire();
+  try {
+    await waitForHost(hostOf(url));
+    return await request();
+  }
+  finally {
+    release();
+  }
+}
@@ -0,0 +1,61 @@
+import punycode from 'punycode';
+import idnCcTLDs from '../data/idnCcTLDs.json';
+
+/**
+ * Unicode scripts `idnInfo()` recognizes in TLDs (as named in Unicode). Any
+ * other script is 'Unknown'
+ */
+export const TLD_SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian',
+  'Hebrew', 'Arabic', 'Syriac', 'Thaana', 'Devanagari', 'Bengali', 'Gurmukhi',
+  'Gujarati', 'Oriya', 'Tamil', 'Telugu', 'Kannada', 'Malayalam', 'Sinhala', 'Thai',
+  'Lao', 'Tibetan', 'Myanmar', 'Khmer', 'Ethiopic', 'Han', 'Hiragana', 'Katakana',
+  'Hangul'];
+
+// Scripts written right to left
+const RTL_SCRIPTS = ['Hebrew', 'Arabic', 'Syriac', 'Thaana'];
+
+// Built at runtime, `\p{}` in regex literals trips up some parsers
+const SCRIPT_REGEXES = TLD_SCRIPTS.map(script => [script, new RegExp(`^\\p{Script=${script}}$`, 'u')]);
+const NO_SCRIPT_REGEX = new RegExp('^[\\p{Script=Common}\\p{Script=Inherited}]$', 'u');
+
+// The script of a single character, undefined for ones shared by every script
+// (digits, '-', combining marks...)
+function scriptOf(char) {
+  if (NO_SCRIPT_REGEX.test(char)) {
+    return undefined;
+  }
+  const found = SCRIPT_REGEXES.find(([script, regex]) => regex.test(char));
+  return found ? found[0] : 'Unknown';
+}
+
+/**
+ * The forms and scripts of a TLD, so DNS tooling (A-labels) and UIs (U-labels)
+ * don't need to convert themselves
+ * @param {String} tld Unicode or punycode (xn--) TLD
+ * @returns {object}
+ * * `.tld` - The unicode TLD (U-label)
+ * * `.tldAscii` - The ASCII TLD (A-label, punycode for IDNs)
+ * * `.isIDN` - If it's an internationalized TLD (not just ASCII)
+ * * `.tldScripts` - The `TLD_SCRIPTS` its characters are in, in the order they
+ *     first appear
+ * * `.tldDirection` - 'rtl' if any of them is written right to left, otherwise 'ltr'
+ * * `.idnCountry` - For IDN ccTLDs, the ISO 3166-1 alpha-2 code of the country
+ *     (curated in data/idnCcTLDs.json)
+ * * `.asciiCounterpart` - For IDN ccTLDs, the ASCII ccTLD of the same country
+ *     (like 'ru' for 'рф')
+ */
+export function idnInfo(tld) {
+  const unicode = punycode.toUnicode(tld.toLowerCase());
+  const tldScripts = Array.from(new Set(Array.from(unicode)
+    .map(scriptOf)
+    .filter(script => script !== undefined)));
+  const ccTLD = idnCcTLDs[unicode];
+  return {
+    tld: unicode,
+    tldAscii: punycode.toASCII(unicode),
+    isIDN: /[^\x00-\x7F]/.test(unicode),
+    tldScripts,
+    tldDirection: tldScripts.some(script => RTL_SCRIPTS.includes(script)) ? 'rtl' : 'ltr',
+    ...(ccTLD ? { idnCountry: ccTLD.country, asciiCounterpart: ccTLD.asciiTLD } : {})
+  };
+}
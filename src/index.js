@@ -0,0 +1,24 @@
+// Public library API of the package, see README.md
+export { normalizeTLD, loadBundledData, isTLDObjPubliclyRegisterable,
+  createTLDQuery, lookupTLD, filterTLDs, isPubliclyRegisterable } from './query.js';
+export { DOMAIN_ERRORS, parseDomain, isValidDomain, rdapDomainURL } from './domain.js';
+export { CHANGE_KINDS, diffTLDData, diffToMarkdown } from './diff.js';
+export { FORMATS, formatData, formatPeriodsTable } from './formats.js';
+export { createRequestHandler, createDataServer } from './server.js';
+export { WATCH_STATE_VERSION, DEFAULT_WATCH_KINDS, createWatchState, loadWatchState,
+  changeId, queueChanges, notificationPayload, webhookTarget, commandTarget,
+  deliverPending } from './watch.js';
+export { SCHEMA_VERSION, loadDataset } from './schema.js';
+export { DEFAULT_THRESHOLDS, validateDataset, validateTLDs } from './validate.js';
+export { RESTRICTION_TYPES, extractSpec12, classifyRestrictions } from './restrictions.js';
+export { parseZoneFile, summarizeRootZone } from './zone.js';
+export { parsePSL, tldsOfPSLRules, reconcilePSL, formatPSL } from './psl.js';
+export { TLD_SCRIPTS, idnInfo } from './idn.js';
+export { PERIOD_KINDS, parsePeriodDate, periodKind, parseStatusPeriodsRow } from './periods.js';
+export { HISTORY_VERSION, HISTORY_KINDS, createHistory, loadHistory, updateHistory,
+  historyStateAt, tldsAt, tldTimeline } from './history.js';
+export { GA_CONFIDENCE, GA_ESTIMATORS, GA_AGREEMENT_DAYS, estimateGA } from './ga.js';
+export { provenance, orderSources, selectSources, runPipeline } from './pipeline.js';
+export { LOG_LEVELS, LOG_FORMATS, configureLog, createLogger } from './log.js';
+export { DEFAULT_HTTP_CONFIG, configureHTTP, getHTTPConfig, parseRetryAfter } from './http.js';
+export { resetReport, getReport } from './report.js';
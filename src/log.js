@@ -0,0 +1,105 @@
+import chalk from 'chalk';
+import { recordWarning } from './report.js';
+
+/**
+ * Log levels, least to most severe
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Log formats, `text` for people and `json` for one JSON object per line
+ */
+export const LOG_FORMATS = ['text', 'json'];
+
+// Current log configuration, see `configureLog()`
+let config = {
+  level: 'info',
+  format: 'text',
+  stream: undefined
+};
+
+/**
+ * Sets up where and how `createLogger()` loggers write
+ * @param {Object} [opts]
+ * * `.level` - Least severe of `LOG_LEVELS` to write (default: 'info')
+ * * `.format` - One of `LOG_FORMATS` (default: 'text')
+ * * `.stream` - Where to write (default: process.stderr)
+ */
+export function configureLog({ level = 'info', format = 'text', stream } = {}) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level '${level}', must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format '${format}', must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+  config = { level, format, stream };
+}
+
+// Colors in messages are only for the text format
+function stripColors(str) {
+  return str.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+const TEXT_PREFIXES = {
+  debug: '',
+  info: '* ',
+  warn: `* ${chalk.yellow('warning')} `,
+  error: `* ${chalk.red('error')} `
+};
+
+// The text format only shows the message with the `count` and `tlds` fields,
+// the rest are for the json format
+function formatText(entry) {
+  if (entry.section) {
+    return chalk.bgWhite.black(`== ${entry.msg} ==`);
+  }
+  let line = TEXT_PREFIXES[entry.level] + entry.msg;
+  if (entry.count !== undefined) {
+    line += `: ${chalk.yellow(entry.count)}`;
+  }
+  if (entry.tlds) {
+    line += `: ${entry.tlds.map(tld => chalk.yellow(tld)).join(', ')}`;
+  }
+  return line;
+}
+
+function formatJSON(entry) {
+  return JSON.stringify({ ...entry, msg: stripColors(entry.msg) });
+}
+
+function write(level, scope, msg, fields = {}) {
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(scope ? { source: scope } : {}),
+    msg,
+    ...fields
+  };
+  if (level === 'warn' || level === 'error') {
+    recordWarning({ ...entry, msg: stripColors(msg) });
+  }
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.level)) {
+    return;
+  }
+  const line = config.format === 'json' ? formatJSON(entry) : formatText(entry);
+  (config.stream || process.stderr).write(line + '\n');
+}
+
+/**
+ * Creates a logger for part of the run. Every method takes a message and an
+ * optional object of fields for the entry. `count` and `tlds` (an array) are
+ * shown in the text format too, warnings should have a `code` to alert on.
+ * Warnings and errors also go in the run report (see `getReport()`)
+ * @param {String} [scope] Added to every entry as `source`, like the source name
+ * @returns {object} With `.debug()`, `.info()`, `.warn()`, `.error()` and
+ * `.section(title)` (an info heading)
+ */
+export function createLogger(scope) {
+  return {
+    debug: (msg, fields) => write('debug', scope, msg, fields),
+    info: (msg, fields) => write('info', scope, msg, fields),
+    warn: (msg, fields) => write('warn', scope, msg, fields),
+    error: (msg, fields) => write('error', scope, msg, fields),
+    section: title => write('info', scope, title, { section: true })
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Kinds of launch periods, what `periodKind()` normalizes the period names and
+ * types registries use into
+ * * `sunrise` - Only for trademark holders in the TMCH
+ * * `trademarkClaims` - Registrants are warned of matching trademarks
+ * * `landrush` - Before General Availability, usually at a premium
+ * * `earlyAccess` - Early Access Program (EAP), GA with a daily dropping premium
+ * * `limitedRegistration` - Limited Registration Period (LRP), only for some
+ *     group of registrants
+ * * `qualifiedLaunch` - Qualified Launch Program (QLP), names allocated to
+ *     launch partners before Sunrise
+ * * `exclusiveRegistration` - Only for some group, like an LRP
+ * * `generalAvailability` - Open to everyone
+ * * `other` - Anything else
+ */
+export const PERIOD_KINDS = ['sunrise', 'trademarkClaims', 'landrush', 'earlyAccess',
+  'limitedRegistration', 'qualifiedLaunch', 'exclusiveRegistration',
+  'generalAvailability', 'other'];
+
+// How each kind is written in names and types, checked in order
+const PERIOD_KIND_PATTERNS = [
+  ['trademarkClaims', /\bclaims\b/i],
+  ['sunrise', /\bsunrise\b/i],
+  ['landrush', /\bland ?rush\b/i],
+  ['earlyAccess', /\bEAP\b|\bearly access\b/i],
+  ['limitedRegistration', /\bLRP\b|\blimited registration\b/i],
+  ['qualifiedLaunch', /\bQLP\b|\bqualified launch\b/i],
+  ['exclusiveRegistration', /\bexclusive\b/i],
+  ['generalAvailability', /\bGA\b|\bgeneral availability\b/i]
+];
+
+// Sunrise types in the export's type column
+const SUNRISE_TYPES = ['Start Date Sunrise', 'End Date Sunrise', 'Spec 13 - .BRAND TLD'];
+
+// What's put in cells instead of a date
+const NO_DATE = /^(-|–|tbd|tba|n\/a|none)?$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// `[regex, match => [year, month name or number, day]]` of every date format seen
+const DATE_FORMATS = [
+  // 2014-09-04
+  [/^(\d{4})-(\d{1,2})-(\d{1,2})$/, m => [m[1], m[2], m[3]]],
+  // 4 Sep 2014, 4 September 2014, 04-Sep-2014
+  [/^(\d{1,2})(?:st|nd|rd|th)?[ -]([a-z]+)\.?,?[ -](\d{4})$/i, m => [m[3], m[2], m[1]]],
+  // Sep 4, 2014, September 4th 2014
+  [/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})$/i, m => [m[3], m[1], m[2]]]
+];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Parses a date from the sunrise/claims export, which isn't consistent about
+ * the format (like '4 Sep 2014', '04-Sep-2014', 'Sep 4, 2014' or '2014-09-04')
+ * @param {String} str
+ * @returns {String|undefined} The date as YYYY-MM-DD, undefined for empty cells
+ * and placeholders (like '-' or 'TBD'). Throws if it isn't a valid date
+ */
+export function parsePeriodDate(str) {
+  const s = (str || '').trim().replace(/\s+/g, ' ');
+  if (NO_DATE.test(s)) {
+    return undefined;
+  }
+  for (const [regex, parts] of DATE_FORMATS) {
+    const match = s.match(regex);
+    if (!match) {
+      continue;
+    }
+    const [year, monthStr, day] = parts(match);
+    const month = /^\d+$/.test(monthStr) ?
+      parseInt(monthStr, 10) :
+      MONTHS.indexOf(monthStr.slice(0, 3).toLowerCase()) + 1;
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    // Rejects things like 31 Feb by round tripping through Date
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (month && !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date) {
+      return date;
+    }
+  }
+  throw new Error(`'${s}' isn't a date`);
+}
+
+/**
+ * Normalizes the name and type of a period into one of `PERIOD_KINDS`. The
+ * type is used first as it's the more consistent of the two
+ * @param {String} [name] Like 'Sunrise 2' or 'Landrush'
+ * @param {String} [type] Like 'Limited Registration Period'
+ * @returns {String}
+ */
+export function periodKind(name, type) {
+  const kindOf = s => {
+    const found = PERIOD_KIND_PATTERNS.find(([kind, regex]) => regex.test(s || ''));
+    return found ? found[0] : 'other';
+  };
+  const typeKind = kindOf(type);
+  return typeKind !== 'other' ? typeKind : kindOf(name);
+}
+
+// Splits a cell on commas that aren't in parentheses/quotes or part of a date
+// like 'Sep 4, 2014' (but does split '2014-09-04, 2015-01-01')
+function splitCell(cell) {
+  const parts = [];
+  let part = '';
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < cell.length; i++) {
+    const c = cell[i];
+    if (c === '"') {
+      quoted = !quoted;
+    }
+    else if (c === '(' || c === '[') {
+      depth++;
+    }
+    else if ((c === ')' || c === ']') && depth) {
+      depth--;
+    }
+    const isDateComma = /\b[A-Za-z]{3,9}\.?\s+\d{1,2}(st|nd|rd|th)?\s*$/.test(part) &&
+      /^\s*\d{4}\b/.test(cell.slice(i + 1));
+    if (c === ',' && !quoted && !depth && !isDateComma) {
+      parts.push(part.trim());
+      part = '';
+    }
+    else {
+      part += c;
+    }
+  }
+  return [...parts, part.trim()];
+}
+
+// Splits a multi-valued cell into `count` values. A name with a comma in it
+// is split into too many, so parts starting in lower case are joined back
+// onto the one before. Throws if it still doesn't line up
+function alignCell(tld, column, cell, count) {
+  if (!cell.trim()) {
+    return new Array(count).fill(undefined);
+  }
+  const parts = splitCell(cell);
+  for (let i = parts.length - 1; i > 0 && parts.length > count; i--) {
+    if (/^[a-z]/.test(parts[i])) {
+      parts.splice(i - 1, 2, `${parts[i - 1]}, ${parts[i]}`);
+    }
+  }
+  if (parts.length !== count) {
+    throw new Error(`'${tld}' has ${count} other periods but ${parts.length} values in '${column}' ('${cell}')`);
+  }
+  return parts.map(p => p.replace(/^"(.*)"$/, '$1') || undefined);
+}
+
+function makePeriod(name, open, close, type) {
+  if (!open && !close) {
+    return [];
+  }
+  return [{
+    name,
+    ...(open ? { open } : {}),
+    ...(close ? { close } : {}),
+    ...(type ? { type } : {}),
+    kind: periodKind(name, type)
+  }];
+}
+
+/**
+ * Parses a row of the sunrise/claims export
+ * https://newgtlds.icann.org/en/program-status/sunrise-claims-periods
+ * The "other periods" columns have a comma separated value for every other
+ * period, which are lined up by position
+ * @param {String[]} cells The text of the cells: TLD, sunrise type, sunrise
+ * open/close, trademark claims open/close, other periods from/name/to/type and
+ * last updated
+ * @returns {object} Throws if anything in the row is unexpected
+ * * `.tld` - The TLD as in the export (punycode)
+ * * `.spec13` - If it's listed as a Specification 13 (brand) TLD
+ * * `.periods` - Periods with dates, `{ name, open, close, type, kind }` (see
+ *     `PERIOD_KINDS`), dates as YYYY-MM-DD and any of them can be missing but `name`
+ *     and `kind`
+ * * `.lastUpdated` - When the row was last updated (YYYY-MM-DD), if given
+ */
+export function parseStatusPeriodsRow(cells) {
+  const [tld, type = '', sunriseOpen, sunriseClose, claimsOpen, claimsClose,
+    otherFrom = '', otherName = '', otherTo = '', otherType = '', lastUpdated] =
+    cells.map(c => c.trim());
+  if (!tld) {
+    throw new Error('Row has no TLD');
+  }
+  if (type !== '' && !SUNRISE_TYPES.includes(type)) {
+    throw new Error(`'${tld}' sunrise event type must be in well-known types or blank`);
+  }
+  const dateOf = (column, str) => {
+    try {
+      return parsePeriodDate(str);
+    }
+    catch (e) {
+      throw new Error(`'${tld}' has an invalid ${column} date, ${e.message}`);
+    }
+  };
+
+  let otherPeriods = [];
+  if (otherFrom || otherTo) {
+    const froms = splitCell(otherFrom);
+    const tos = splitCell(otherTo);
+    const count = Math.max(froms.length, tos.length);
+    const names = alignCell(tld, 'name', otherName, count);
+    const types = alignCell(tld, 'type', otherType, count);
+    const opens = alignCell(tld, 'from', otherFrom, count);
+    const closes = alignCell(tld, 'to', otherTo, count);
+    otherPeriods = names
+      .map((name, i) => makePeriod(name || types[i] || 'Other',
+        dateOf('other period from', opens[i]), dateOf('other period to', closes[i]), types[i]))
+      .flat();
+  }
+
+  const updated = dateOf('last updated', lastUpdated);
+  return {
+    tld,
+    spec13: type === 'Spec 13 - .BRAND TLD',
+    periods: [
+      ...makePeriod('Sunrise', dateOf('sunrise open', sunriseOpen), dateOf('sunrise close', sunriseClose)),
+      ...makePeriod('Trademark Claims', dateOf('claims open', claimsOpen), dateOf('claims close', claimsClose)),
+      ...otherPeriods
+    ],
+    ...(updated ? { lastUpdated: updated } : {})
+  };
+}
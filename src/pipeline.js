@@ -0,0 +1,303 @@
+import util from 'util';
+import mapLimit from 'async/mapLimit.js';
+import { createLogger } from './log.js';
+import { recordSourceRun, recordAnomaly, recordFailure } from './report.js';
+import { getHTTPConfig } from './http.js';
+
+/**
+ * Creates the provenance of a single field, where it's value came from
+ * @param {String} source Name of the source (same as the `source` passed to `fetch()`,
+ * or 'manualData'/'ccTLDPolicies'/'previousData')
+ * @param {String} method How the value was found, 'scraped' from the source,
+ * 'manual' (hand-curated), 'previous' (carried over from a previous run),
+ * 'assumed' (a default because the source had nothing) or 'derived' (worked
+ * out from other fields, like the punycode of the TLD)
+ * @param {String} [url] URL the value came from
+ * @param {String} [fetchedAt] When the URL was fetched
+ */
+export function provenance(source, method, url, fetchedAt) {
+  return {
+    source,
+    method,
+    ...(url ? { url } : {}),
+    ...(fetchedAt ? { fetchedAt } : {})
+  };
+}
+
+// Checks the shape of a source object so plugin mistakes fail early
+function checkSource(source) {
+  if (!source || typeof source.name !== 'string' || !source.name) {
+    throw new Error('Sources must have a `name`');
+  }
+  if (!Array.isArray(source.fields) || typeof source.enrich !== 'function') {
+    throw new Error(`Source '${source.name}' must have a \`fields\` array and an \`enrich()\` function`);
+  }
+}
+
+/**
+ * Orders sources so every source runs after the ones in its `dependsOn`,
+ * otherwise keeping the order they were given in
+ * @param {object[]} sources
+ * @returns {object[]} The sources in the order to run them. Throws on unknown
+ * or circular dependencies
+ */
+export function orderSources(sources) {
+  sources.forEach(checkSource);
+  const byName = new Map(sources.map(s => [s.name, s]));
+  if (byName.size !== sources.length) {
+    throw new Error('Every source must have a unique `name`');
+  }
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (source, chain) => {
+    if (ordered.includes(source)) {
+      return;
+    }
+    if (visiting.has(source)) {
+      throw new Error(`Sources depend on each other in a circle: ${[...chain, source.name].join(' -> ')}`);
+    }
+    visiting.add(source);
+    (source.dependsOn || []).forEach(name => {
+      if (!byName.has(name)) {
+        throw new Error(`Source '${source.name}' depends on '${name}' which isn't one of the sources`);
+      }
+      visit(byName.get(name), [...chain, source.name]);
+    });
+    visiting.delete(source);
+    ordered.push(source);
+  };
+  sources.forEach(s => visit(s, []));
+  return ordered;
+}
+
+/**
+ * Picks the sources to run by name
+ * @param {object[]} sources All the available sources
+ * @param {object} [opts]
+ * * `.only` - Names of the only sources to run. Sources marked `required` and
+ *     the `dependsOn` of these are always run too
+ * * `.skip` - Names of sources not to run. Throws for `required` sources or
+ *     ones another selected source depends on
+ * @returns {object[]}
+ */
+export function selectSources(sources, { only, skip = [] } = {}) {
+  const byName = new Map(sources.map(s => [s.name, s]));
+  [...(only || []), ...skip].forEach(name => {
+    if (!byName.has(name)) {
+      throw new Error(`Unknown source '${name}', must be one of ${Array.from(byName.keys()).join(', ')}`);
+    }
+  });
+  const selected = new Set();
+  const add = source => {
+    if (selected.has(source)) {
+      return;
+    }
+    selected.add(source);
+    (source.dependsOn || [])
+      .filter(name => byName.has(name))
+      .forEach(name => add(byName.get(name)));
+  };
+  sources
+    .filter(s => s.required || !only || only.includes(s.name))
+    .filter(s => s.required || !skip.includes(s.name))
+    .forEach(add);
+
+  skip.forEach(name => {
+    const source = byName.get(name);
+    if (source.required) {
+      throw new Error(`Source '${name}' is required and can't be skipped`);
+    }
+    const dependent = sources.find(s => selected.has(s) && (s.dependsOn || []).includes(name));
+    if (dependent) {
+      throw new Error(`Source '${name}' can't be skipped, '${dependent.name}' depends on it`);
+    }
+  });
+  return sources.filter(s => selected.has(s));
+}
+
+/**
+ * Runs sources to build the TLD objects. Each source is an object with
+ * * `.name` - Unique name, also what its provenance and cache TTLs use
+ * * `.title` - Heading printed when it runs (defaults to `.name`)
+ * * `.fields` - The fields it contributes. Contributing any other field throws
+ * * `.fetches` - URLs it fetches, for documentation
+ * * `.dependsOn` - Names of the sources that need to run before it (because
+ *     it reads their fields off `ctx.tlds`)
+ * * `.required` - If it can't be skipped with `selectSources()`
+ * * `.definesTLDs` - If its contributions create TLD objects. Other sources
+ *     can only contribute to TLDs that already exist
+ * * `.schema` - JSON Schemas of fields that aren't in `tldData.schema.json`,
+ *     keyed by field name (for plugins)
+ * * `.enrich(ctx)` - Async function returning an array of contributions,
+ *     `{ tld, values, provenance }` where `values` is an object of fields to
+ *     set on the TLD (undefined ones are skipped) and `provenance` is where
+ *     they came from (see `ctx.provenance()`)
+ *
+ * `ctx` has
+ * * `.tlds` - The TLD objects so far, with the fields of earlier sources.
+ *     Don't modify these, return contributions instead
+ * * `.now` - dayjs() of the date to treat as now
+ * * `.prevData` - Previous values to reuse (see `getTLDData()`)
+ * * `.fetch` - `fetch()` from `src/utils.js` (retries, caching and snapshots)
+ * * `.fetchedAt(url)` - When the response for `url` was fetched, for
+ *     provenance (see `getFetchedAt()` in `src/utils.js`)
+ * * `.fetchers` - The `get*()` functions of `src/fetch.js`
+ * * `.concurrency` - How many requests to run at once
+ * * `.mapLimit(items, fn)` - Maps with `fn` over `items`, `.concurrency` at a time
+ * * `.provenance(method, url, fetchedAt)` - `provenance()` with this source's name
+ * * `.log` - Logger for this source (see `createLogger()`)
+ * * `.strict` - If failures should abort the run
+ * * `.fail(tld, error)` - Marks the source as failed for a single TLD. Throws
+ *     `error` if `.strict`
+ * * `.isolate(tld, fn)` - Runs the async `fn`, returning what it does or `[]`
+ *     after `.fail()` if it throws, for the per-TLD parts of `.enrich()`
+ *
+ * When a source fails for a TLD, its contributions to that TLD are dropped and
+ * its fields are taken from `opts.previous` instead (if there). The TLD gets
+ * `stale: true` and the failure goes in the run report and the returned
+ * `.failures`. So one odd page doesn't stop the whole run
+ *
+ * When a source sets a field an earlier source already set to a different
+ * value, the later source wins and it's recorded as a conflict (also a
+ * 'conflict' anomaly in the run report, see `getReport()`). How long each
+ * source took goes in the run report too
+ * @param {object[]} sources From `selectSources()` or your own
+ * @param {object} [opts] The `ctx` options above: `.now`, `.prevData`,
+ * `.fetch`, `.fetchedAt`, `.fetchers`, `.concurrency` (default: the `concurrency` of
+ * `configureHTTP()`) and `.strict` (default: false), plus `.previous`, the TLD
+ * objects of the previous data to fall back to
+ * @returns {object}
+ * * `.tlds` - The TLD objects, in the order the first `definesTLDs` source gave them
+ * * `.sources` - Object of TLDs mapped to their field names mapped to provenances
+ * * `.conflicts` - Array of `{ tld, field, source, value, overriddenSource, overriddenValue }`
+ * * `.failures` - Array of `{ tld, source, error, fallbackFields }`
+ */
+export async function runPipeline(sources, { now, prevData, previous = [], fetch,
+  fetchedAt = () => undefined, fetchers, concurrency = getHTTPConfig().concurrency, strict = false } = {}) {
+  const tlds = [];
+  const byTLD = new Map();
+  const previousByTLD = new Map(previous.map(t => [t.tld, t]));
+  const fieldSources = {};
+  const conflicts = [];
+  const failures = [];
+  const ctx = {
+    tlds,
+    now,
+    prevData,
+    fetch,
+    fetchedAt,
+    fetchers,
+    concurrency,
+    strict,
+    mapLimit: (items, fn) => mapLimit(items, concurrency, fn)
+  };
+
+  for (const source of orderSources(sources)) {
+    const log = createLogger(source.name);
+    log.section(source.title || source.name);
+    const startedAt = Date.now();
+    const failed = new Map();
+    const fail = (tld, error) => {
+      if (strict) {
+        throw error;
+      }
+      log.error(`Failed for ${tld}, falling back to the previous data`, { code: 'TLD_FAILED', tld, error: error.message });
+      failed.set(tld, error);
+    };
+    const contributions = await source.enrich({
+      ...ctx,
+      log,
+      fail,
+      isolate: async (tld, fn) => {
+        try {
+          return await fn();
+        }
+        catch (e) {
+          fail(tld, e);
+          return [];
+        }
+      },
+      provenance: (method, url, fetchedAt) => provenance(source.name, method, url, fetchedAt)
+    });
+    const unknownTLDs = [];
+    contributions.forEach(({ tld, values, provenance: prov }) => {
+      if (failed.has(tld)) {
+        return;
+      }
+      if (!byTLD.has(tld)) {
+        if (!source.definesTLDs) {
+          unknownTLDs.push(tld);
+          return;
+        }
+        const t = { tld };
+        tlds.push(t);
+        byTLD.set(tld, t);
+        fieldSources[tld] = {};
+      }
+      const t = byTLD.get(tld);
+      Object.entries(values)
+        .filter(([field, value]) => value !== undefined)
+        .forEach(([field, value]) => {
+          if (!source.fields.includes(field)) {
+            throw new Error(`Source '${source.name}' contributed '${field}' which isn't in its \`fields\``);
+          }
+          if (t[field] !== undefined && field !== 'tld' && !util.isDeepStrictEqual(t[field], value)) {
+            conflicts.push({
+              tld,
+              field,
+              source: source.name,
+              value,
+              overriddenSource: fieldSources[tld][field] && fieldSources[tld][field].source,
+              overriddenValue: t[field]
+            });
+          }
+          t[field] = value;
+          fieldSources[tld][field] = prov;
+        });
+    });
+    if (unknownTLDs.length) {
+      log.info('Ignored TLDs that aren\'t in the root zone', { tlds: Array.from(new Set(unknownTLDs)) });
+    }
+    failed.forEach((error, tld) => {
+      const t = byTLD.get(tld);
+      const prev = previousByTLD.get(tld) || {};
+      const fallbackFields = t ?
+        source.fields.filter(f => f !== 'tld' && prev[f] !== undefined) : [];
+      fallbackFields.forEach(f => {
+        const prevProv = (prev.sources && prev.sources[f]) || {};
+        t[f] = prev[f];
+        fieldSources[tld][f] = provenance('previousData', 'previous', prevProv.url,
+          prevProv.fetchedAt || (prev.fetchedAt && prev.fetchedAt[f]));
+      });
+      if (t) {
+        t.stale = true;
+      }
+      const failure = { tld, source: source.name, error: error.message, fallbackFields };
+      failures.push(failure);
+      recordFailure(failure);
+    });
+    recordSourceRun(source.name, {
+      durationMs: Date.now() - startedAt,
+      contributions: contributions.length,
+      tlds: new Set(contributions.map(c => c.tld)).size
+    });
+  }
+
+  if (conflicts.length) {
+    const log = createLogger();
+    log.section('Conflicts between sources');
+    conflicts.forEach(c => {
+      recordAnomaly('conflict', c);
+      log.info(`${c.tld} ${c.field}: ${c.source} ${JSON.stringify(c.value)} replaced ${c.overriddenSource} ${JSON.stringify(c.overriddenValue)}`, c);
+    });
+  }
+  if (failures.length) {
+    const log = createLogger();
+    log.section('Failures');
+    failures.forEach(f => log.warn(`${f.tld} (${f.source}): ${f.error}`, {
+      code: f.fallbackFields.length ? 'TLD_STALE' : 'TLD_MISSING_FIELDS',
+      ...f
+    }));
+  }
+  return { tlds, sources: fieldSources, conflicts, failures };
+}
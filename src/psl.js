@@ -0,0 +1,100 @@
+import punycode from 'punycode';
+
+// Section markers of the Public Suffix List
+const BEGIN_ICANN = '// ===BEGIN ICANN DOMAINS===';
+const END_ICANN = '// ===END ICANN DOMAINS===';
+const BEGIN_PRIVATE = '// ===BEGIN PRIVATE DOMAINS===';
+const END_PRIVATE = '// ===END PRIVATE DOMAINS===';
+
+// Rules are written in unicode, lowercase, but be lenient with punycode/case
+function normalizeRule(rule) {
+  return rule
+    .toLowerCase()
+    .split('.')
+    .map(label => label.startsWith('xn--') ? punycode.toUnicode(label) : label)
+    .join('.');
+}
+
+/**
+ * Parses a Public Suffix List file (https://publicsuffix.org/list/)
+ * @param {String} text The contents of public_suffix_list.dat
+ * @returns {object}
+ * * `.icann` - Rules of the ICANN section, like 'com', 'co.uk', '*.ck' or '!www.ck'
+ * * `.private` - Rules of the private section
+ */
+export function parsePSL(text) {
+  const psl = { icann: [], private: [] };
+  let section;
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith(BEGIN_ICANN)) {
+      section = 'icann';
+    }
+    else if (trimmed.startsWith(BEGIN_PRIVATE)) {
+      section = 'private';
+    }
+    else if (trimmed.startsWith(END_ICANN) || trimmed.startsWith(END_PRIVATE)) {
+      section = undefined;
+    }
+    else if (section && trimmed && !trimmed.startsWith('//')) {
+      // Only the first whitespace separated part of a line is the rule
+      psl[section].push(normalizeRule(trimmed.split(/\s/)[0]));
+    }
+  });
+  if (!psl.icann.length) {
+    throw new Error(`Public Suffix List has no rules in its ICANN section (between '${BEGIN_ICANN}' and '${END_ICANN}')`);
+  }
+  return psl;
+}
+
+/**
+ * The TLDs of Public Suffix List rules (the last label, so '*.ck' is 'ck')
+ * @param {String[]} rules Like the `.icann` of `parsePSL()`
+ * @returns {String[]} Unique unicode TLDs in the order first seen
+ */
+export function tldsOfPSLRules(rules) {
+  return Array.from(new Set(rules.map(rule => rule.split('.').pop())));
+}
+
+/**
+ * Compares the ICANN section of the Public Suffix List with the TLDs in the
+ * root zone (like from `getTLDsFromRootZone()`)
+ * @param {String[]} tlds The unicode TLDs in the root zone
+ * @param {object} psl From `parsePSL()`
+ * @returns {object}
+ * * `.missing` - TLDs in the root zone the PSL doesn't have
+ * * `.notDelegated` - TLDs in the PSL that aren't in the root zone anymore (or yet)
+ */
+export function reconcilePSL(tlds, psl) {
+  const pslTLDs = tldsOfPSLRules(psl.icann);
+  const pslSet = new Set(pslTLDs);
+  const rootZoneSet = new Set(tlds);
+  return {
+    missing: tlds.filter(tld => !pslSet.has(tld)),
+    notDelegated: pslTLDs.filter(tld => !rootZoneSet.has(tld))
+  };
+}
+
+/**
+ * Formats TLD objects as the ICANN section of the Public Suffix List
+ * @param {object} outData The data to output, `{ generated, data }`
+ * @param {object} [opts]
+ * * `.secondLevel` - Also add the `secondLevelDomains` of the TLDs (like co.jp)
+ * @returns {String}
+ */
+export function formatPSL(outData, { secondLevel = false } = {}) {
+  const entries = outData.data.map(t => {
+    const comment = [
+      punycode.toASCII(t.tld),
+      ...(t.sponsor ? [t.sponsor] : [])
+    ].join(' : ');
+    const rules = [t.tld, ...(secondLevel ? t.secondLevelDomains || [] : [])];
+    return [`// ${comment}`, ...rules].join('\n') + '\n';
+  });
+  return [
+    `${BEGIN_ICANN}\n`,
+    ...(outData.generated ? [`// Generated from the root zone on ${outData.generated}\n`] : []),
+    ...entries,
+    `${END_ICANN}\n`
+  ].join('\n');
+}
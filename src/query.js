@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import punycode from 'punycode';
+
+// Path to the dataset shipped with the package (output of `npm run fetch`)
+const BUNDLED_DATA_PATH = path.join(__dirname, '..', 'tldData.json');
+
+// TLD types that can never be registered in by the public
+const UNREGISTERABLE_TYPES = ['infrastructure', 'test'];
+
+/**
+ * Normalizes a TLD string from user input to the form used in the dataset
+ * (lowercase, no leading '.', unicode instead of punycode)
+ * @param {String} tld TLD string like 'com', '.COM', 'xn--3e0b707e' or '한국'
+ * @returns {String} The normalized TLD string
+ */
+export function normalizeTLD(tld) {
+  const s = String(tld).trim().toLowerCase().replace(/^\.+|\.+$/g, '');
+  return s.startsWith('xn--') ? punycode.toUnicode(s) : s;
+}
+
+/**
+ * Reads the dataset bundled with this package
+ * @returns {object} The parsed `tldData.json`, `{ generated, data }`
+ */
+export function loadBundledData() {
+  return JSON.parse(fs.readFileSync(BUNDLED_DATA_PATH, 'utf8'));
+}
+
+/**
+ * Is the given TLD object registerable by the public? This means it's in the
+ * root zone, isn't a brand TLD, has no registration restrictions and has hit
+ * General Availability.
+ * NOTE: ccTLDs don't have `isBrand` or `hasRestrictions` data yet so they're
+ * treated as registerable
+ * @param {object} tldObj A TLD object from the dataset (see `getTLDData()`)
+ * @returns {boolean}
+ */
+export function isTLDObjPubliclyRegisterable(tldObj) {
+  return !!tldObj &&
+    !UNREGISTERABLE_TYPES.includes(tldObj.type) &&
+    !tldObj.isBrand &&
+    !tldObj.hasRestrictions &&
+    !tldObj.isNotInGeneralAvailability;
+}
+
+/**
+ * Creates a query object over a dataset
+ * @param {object|object[]} [dataset] The dataset to query, either the full
+ * output of `src/cli.js` (`{ generated, data }`), just the array of TLD objects
+ * from `getTLDData()` or an array of TLD strings from `getTLDsFromRootZone()`.
+ * Defaults to the bundled `tldData.json`
+ * @returns {object}
+ * * `.generated` - When the dataset was generated (if known)
+ * * `.all()` - All TLD objects
+ * * `.lookup(tld)` - Finds the TLD object for a TLD string (unicode or punycode),
+ *     or undefined if the TLD isn't in the dataset
+ * * `.filter(predicates)` - All TLD objects matching every given predicate in
+ *     `{ type, isBrand, hasRestrictions, isNotInGeneralAvailability, isPubliclyRegisterable }`.
+ *     `type` can be a single type or an array of types. Omitted predicates
+ *     aren't checked.
+ * * `.isPubliclyRegisterable(tld)` - If the given TLD string can be registered
+ *     by the public (see `isTLDObjPubliclyRegisterable()`)
+ */
+export function createTLDQuery(dataset = loadBundledData()) {
+  const tlds = (Array.isArray(dataset) ? dataset : dataset.data)
+    .map(t => typeof t === 'string' ? { tld: t } : t);
+  const generated = Array.isArray(dataset) ? undefined : dataset.generated;
+  const byTLD = new Map(tlds.map(t => [t.tld, t]));
+
+  function lookup(tld) {
+    return byTLD.get(normalizeTLD(tld));
+  }
+
+  function filter(predicates = {}) {
+    const types = predicates.type === undefined ? undefined :
+      [].concat(predicates.type);
+    return tlds.filter(t => {
+      if (types && !types.includes(t.type)) {
+        return false;
+      }
+      // Missing boolean keys are treated as false
+      return ['isBrand', 'hasRestrictions', 'isNotInGeneralAvailability']
+        .filter(k => predicates[k] !== undefined)
+        .every(k => !!t[k] === !!predicates[k]) &&
+        (predicates.isPubliclyRegisterable === undefined ||
+          isTLDObjPubliclyRegisterable(t) === !!predicates.isPubliclyRegisterable);
+    });
+  }
+
+  return {
+    generated,
+    all: () => tlds.slice(),
+    lookup,
+    filter,
+    isPubliclyRegisterable: tld => isTLDObjPubliclyRegisterable(lookup(tld))
+  };
+}
+
+// Query object over the bundled data, only loaded if one of the helpers below
+// is used
+let _defaultQuery;
+export function getDefaultQuery() {
+  if (!_defaultQuery) {
+    _defaultQuery = createTLDQuery();
+  }
+  return _defaultQuery;
+}
+
+/**Looks up a TLD in the bundled dataset (see `createTLDQuery()`)
+ */
+export function lookupTLD(tld) {
+  return getDefaultQuery().lookup(tld);
+}
+
+/**Filters TLDs in the bundled dataset (see `createTLDQuery()`)
+ */
+export function filterTLDs(predicates) {
+  return getDefaultQuery().filter(predicates);
+}
+
+/**Checks a TLD against the bundled dataset (see `createTLDQuery()`)
+ */
+export function isPubliclyRegisterable(tld) {
+  return getDefaultQuery().isPubliclyRegisterable(tld);
+}
@@ -0,0 +1,111 @@
+// The run report collects what happened during a run (requests, how long
+// every source took, warnings and anomalies in the data) so scheduled jobs can
+// alert on it without parsing the log. See `getReport()`
+
+// Current report, see `resetReport()`
+let report;
+
+/**
+ * Starts a new report, forgetting everything recorded so far
+ */
+export function resetReport() {
+  report = {
+    startedAt: new Date(),
+    sources: [],
+    requests: {},
+    warnings: [],
+    anomalies: [],
+    failures: []
+  };
+}
+resetReport();
+
+/**
+ * Records a request made by `fetch()` in `src/utils.js`
+ * @param {String} [source] The `source` passed to `fetch()`
+ * @param {object} info
+ * * `.retries` - How many times it was retried
+ * * `.failed` - If it didn't end in a 2xx response
+ * * `.cached` - If it was answered from the cache or a snapshot without a request
+ */
+export function recordRequest(source = 'default', { retries = 0, failed = false, cached = false } = {}) {
+  const counts = report.requests[source] ||
+    (report.requests[source] = { requests: 0, cached: 0, retries: 0, failed: 0 });
+  counts[cached ? 'cached' : 'requests']++;
+  counts.retries += retries;
+  counts.failed += failed ? 1 : 0;
+}
+
+/**
+ * Records a source run by `runPipeline()`
+ * @param {String} name The source name
+ * @param {object} info `{ durationMs, contributions, tlds }`
+ */
+export function recordSourceRun(name, info) {
+  report.sources.push({ name, ...info });
+}
+
+/**
+ * Records a warning or error log entry (see `createLogger()`)
+ * @param {object} entry
+ */
+export function recordWarning(entry) {
+  report.warnings.push(entry);
+}
+
+/**
+ * Records something odd about the data of a single TLD
+ * @param {String} kind Like 'conflict' (see `runPipeline()`) or
+ * 'gaDisagreement' (see `estimateGA()`)
+ * @param {object} fields `{ tld, ... }`
+ */
+export function recordAnomaly(kind, fields) {
+  report.anomalies.push({ kind, ...fields });
+}
+
+/**
+ * Records a source failing for a single TLD (see `runPipeline()`)
+ * @param {object} failure `{ tld, source, error, fallbackFields }`
+ */
+export function recordFailure(failure) {
+  report.failures.push(failure);
+}
+
+/**
+ * The report of the run so far
+ * @param {object} [extra] More top level fields, like `{ ok, error }`
+ * @returns {object}
+ * * `.startedAt`, `.finishedAt` - ISO 8601 timestamps
+ * * `.durationMs` - Time between the two
+ * * `.sources` - Array of `{ name, durationMs, contributions, tlds }` for every
+ *     source in the order they ran
+ * * `.requests` - `{ total, cached, retries, failed, bySource }` where
+ *     `bySource` has the same counts for every `fetch()` source name
+ * * `.warnings` - Every warning/error logged, `{ time, level, source, code, msg, ... }`
+ * * `.anomalies` - Array of `{ kind, tld, ... }`
+ * * `.failures` - Array of `{ tld, source, error, fallbackFields }` for every
+ *     source that failed for a TLD, `fallbackFields` being the fields taken
+ *     from the previous data instead
+ */
+export function getReport(extra = {}) {
+  const finishedAt = new Date();
+  const bySource = JSON.parse(JSON.stringify(report.requests));
+  const sum = key => Object.values(bySource).reduce((acc, c) => acc + c[key], 0);
+  return {
+    ...extra,
+    startedAt: report.startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - report.startedAt,
+    sources: report.sources.slice(),
+    requests: {
+      total: sum('requests'),
+      cached: sum('cached'),
+      retries: sum('retries'),
+      failed: sum('failed'),
+      bySource
+    },
+    warnings: report.warnings.slice(),
+    anomalies: report.anomalies.slice(),
+    failures: report.failures.slice()
+  };
+}
@@ -0,0 +1,82 @@
+import jsdom from 'jsdom';
+const { JSDOM } = jsdom;
+
+/**
+ * Kinds of registration restrictions `classifyRestrictions()` finds
+ * * `community` - Must be a member of some community/organization/association
+ * * `geographicNexus` - Must have a connection to a city/region/country
+ * * `professionalCredential` - Must hold a license/accreditation/charter (or be
+ *     regulated as one)
+ * * `localPresence` - Must have an address/office/residence in some place
+ */
+export const RESTRICTION_TYPES = ['community', 'geographicNexus',
+  'professionalCredential', 'localPresence'];
+
+// Wording that signals each kind of restriction in Specification 12
+const RESTRICTION_PATTERNS = {
+  community: /\bmember(s|ship)?\b|\bassociations?\b|\bcommunity-based\b/i,
+  geographicNexus: /\bnexus\b|\bgeographic(al)?\b|\b(connection|ties|link) (to|with) the (city|region|state|province|country|territory)\b/i,
+  professionalCredential: /\blicen[cs](e|ed|es|ing)\b|\bcredentials?\b|\baccredit(ed|ation)\b|\bcertified\b|\bchartered\b|\bregulated\b/i,
+  localPresence: /\blocal presence\b|\bphysical (address|presence|location)\b|\bregistered (office|address)\b|\b(resident|residents|residence|domiciled|headquartered)\b/i
+};
+
+// Sentences that summarize who can register
+const ELIGIBILITY_PATTERN = /\beligib(le|ility)\b|\b(restricted|limited) to\b|\b(only|solely|exclusively) (be )?(registered|available|open)\b|\bmay only (be )?register/i;
+const MAX_ELIGIBILITY_LENGTH = 500;
+
+/**
+ * Pulls the Specification 12 section (community registration policies) out of
+ * a registry agreement
+ * @param {String} html The registry agreement HTML
+ * @returns {String|undefined} The text of Specification 12 (whitespace collapsed,
+ * without its heading) or undefined if there is none
+ */
+export function extractSpec12(html) {
+  const text = new JSDOM(html).window.document.body.textContent
+    .replace(/\s+/g, ' ');
+  // Headings are all caps. Take the longest match in case it's also in a table
+  // of contents
+  const headingRegex = /SPECIFICATION 12\b/g;
+  const nextHeadingRegex = /\bSPECIFICATION \d+\b|\bEXHIBIT [A-Z]\b/g;
+  let section;
+  let match;
+  while ((match = headingRegex.exec(text)) !== null) {
+    nextHeadingRegex.lastIndex = match.index + match[0].length;
+    const next = nextHeadingRegex.exec(text);
+    const candidate = text
+      .slice(match.index + match[0].length, next ? next.index : text.length)
+      .replace(/^\s*COMMUNITY REGISTRATION POLICIES\b/, '')
+      .trim();
+    if (section === undefined || candidate.length > section.length) {
+      section = candidate;
+    }
+  }
+  return section;
+}
+
+/**
+ * Classifies the registration restrictions in Specification 12
+ * @param {String} spec12Text From `extractSpec12()`
+ * @returns {object|undefined} undefined if nothing could be classified, otherwise
+ * * `.types` - Array of `RESTRICTION_TYPES` found
+ * * `.eligibility` - The sentence that best summarizes who can register, if any
+ */
+export function classifyRestrictions(spec12Text) {
+  const types = RESTRICTION_TYPES
+    .filter(type => RESTRICTION_PATTERNS[type].test(spec12Text));
+  let eligibility = spec12Text
+    // Split into sentences and numbered clauses ("1. ...")
+    .split(/(?<=[.;])\s+(?=[A-Z(]|\d+\.\s)/)
+    .map(s => s.replace(/^\d+\.\s+/, ''))
+    .find(s => ELIGIBILITY_PATTERN.test(s));
+  if (eligibility && eligibility.length > MAX_ELIGIBILITY_LENGTH) {
+    eligibility = eligibility.slice(0, MAX_ELIGIBILITY_LENGTH).replace(/\s+\S*$/, '') + '…';
+  }
+  if (!types.length && !eligibility) {
+    return undefined;
+  }
+  return {
+    types,
+    ...(eligibility ? { eligibility } : {})
+  };
+}
@@ -0,0 +1,77 @@
+import dayjs from 'dayjs';
+
+/**
+ * Version of the output format (`{ schemaVersion, generated, data }`), bump it
+ * for any breaking change to the output
+ * * 0 - Just the array of TLD objects
+ * * 1 - `{ generated, data }`
+ * * 2 - `{ schemaVersion, generated, data }`
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Loads any version of the output, converting it to the current one
+ * @param {object|object[]} dataset The parsed output of `src/cli.js` (any version)
+ * @returns {object} `{ schemaVersion, generated, data }`. `generated` is undefined
+ * for version 0 as it wasn't recorded
+ */
+export function loadDataset(dataset) {
+  if (Array.isArray(dataset)) {
+    return { schemaVersion: SCHEMA_VERSION, generated: undefined, data: dataset };
+  }
+  if (!dataset || !Array.isArray(dataset.data)) {
+    throw new Error('Dataset must be an array of TLDs or an object with a `data` array');
+  }
+  const version = dataset.schemaVersion === undefined ? 1 : dataset.schemaVersion;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Dataset has schemaVersion ${version}, this version only supports up to ${SCHEMA_VERSION}`);
+  }
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generated: dataset.generated,
+    data: dataset.data
+  };
+}
+
+/**
+ * Picks the fields to reuse out of a previous dataset, for passing as `prevData`
+ * to `getTLDData()`. A field is only reused if it's younger than its max age,
+ * using when that field was fetched (from `.sources`, see `--provenance`, or
+ * `.fetchedAt` for fields that were carried over themselves) or otherwise when
+ * the dataset was generated
+ * @param {object|object[]} dataset The previous output (any version)
+ * @param {Object} reuse Field names to reuse mapped to their max age in seconds
+ * (Infinity for no limit)
+ * @param {dayjs} [now] The date to check ages against
+ * @returns {Object} TLDs mapped to the reused fields, plus `.sources` with the
+ * original provenance of each reused field
+ */
+export function previousDataForReuse(dataset, reuse, now = dayjs()) {
+  const { generated, data } = loadDataset(dataset);
+  return data
+    .map(t => {
+      const sources = {};
+      const fields = Object.keys(reuse)
+        .filter(f => t[f] !== undefined)
+        .filter(f => {
+          const prov = t.sources && t.sources[f];
+          const fetchedAt = (prov && prov.fetchedAt) || (t.fetchedAt && t.fetchedAt[f]) || generated;
+          sources[f] = { ...prov, fetchedAt };
+          if (reuse[f] === Infinity) {
+            return true;
+          }
+          // Unknown age can't be checked, so don't reuse it
+          return !!fetchedAt && now.diff(dayjs(fetchedAt), 'second') < reuse[f];
+        });
+      const values = fields
+        .map(f => ({ [f]: t[f] }))
+        .reduce((acc, o) => Object.assign(acc, o), {});
+      const reusedSources = fields
+        .map(f => ({ [f]: sources[f] }))
+        .reduce((acc, o) => Object.assign(acc, o), {});
+      return {
+        [t.tld]: { ...values, sources: reusedSources }
+      };
+    })
+    .reduce((acc, o) => Object.assign(acc, o), {});
+}
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import http from 'http';
+import { createTLDQuery, isTLDObjPubliclyRegisterable } from './query.js';
+import { parseDomain } from './domain.js';
+import { createLogger } from './log.js';
+
+// Predicates of `createTLDQuery().filter()` that `GET /tlds` takes as query
+// parameters ('true' or 'false')
+const BOOLEAN_FILTERS = ['isBrand', 'hasRestrictions', 'isNotInGeneralAvailability',
+  'isPubliclyRegisterable'];
+
+// An error to respond with, `.status` is the HTTP status and `.code` goes in the body
+function httpError(status, code, message) {
+  return Object.assign(new Error(message), { status, code });
+}
+
+// Strong ETag of a response body
+function etagOf(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+function sendJSON(req, res, status, obj) {
+  const body = JSON.stringify(obj);
+  const etag = status === 200 ? etagOf(body) : undefined;
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    ...(etag ? { 'ETag': etag } : {})
+  };
+  if (etag && req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(body) });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// `GET /tlds` filters, every query parameter must be one of `type` or `BOOLEAN_FILTERS`
+function filtersOf(searchParams) {
+  const predicates = {};
+  searchParams.forEach((value, key) => {
+    if (key === 'type') {
+      predicates.type = searchParams.getAll('type');
+    }
+    else if (BOOLEAN_FILTERS.includes(key)) {
+      if (value !== 'true' && value !== 'false') {
+        throw httpError(400, 'BAD_REQUEST', `'${key}' must be 'true' or 'false'`);
+      }
+      predicates[key] = value === 'true';
+    }
+    else {
+      throw httpError(400, 'BAD_REQUEST', `Unknown filter '${key}', must be one of type, ${BOOLEAN_FILTERS.join(', ')}`);
+    }
+  });
+  return predicates;
+}
+
+function decodeParam(str) {
+  try {
+    return decodeURIComponent(str);
+  }
+  catch (e) {
+    throw httpError(400, 'BAD_REQUEST', `'${str}' isn't valid percent-encoding`);
+  }
+}
+
+/**
+ * Creates the request handler of the read-only HTTP API over a dataset (see the
+ * README for the endpoints). Every response is JSON, successful ones with an
+ * ETag (answering a matching If-None-Match with a 304), errors are
+ * `{ error: { code, message } }`
+ * @param {Function} getState Returns the current `{ dataset, loadedAt, nextRefreshAt }`,
+ * `dataset` being the output of `src/cli.js` (`{ schemaVersion, generated, data }`)
+ * @returns {Function} `(req, res)` for `http.createServer()`
+ */
+export function createRequestHandler(getState) {
+  // The query object is only rebuilt when the dataset changes
+  let queried;
+  let query;
+  const queryOf = dataset => {
+    if (queried !== dataset) {
+      queried = dataset;
+      query = createTLDQuery(dataset);
+    }
+    return query;
+  };
+
+  const routes = [
+    [/^\/meta$/, state => ({
+      schemaVersion: state.dataset.schemaVersion,
+      generated: state.dataset.generated,
+      tldCount: state.dataset.data.length,
+      loadedAt: state.loadedAt,
+      ...(state.nextRefreshAt ? { nextRefreshAt: state.nextRefreshAt } : {})
+    })],
+    [/^\/tlds$/, (state, url) => ({
+      generated: state.dataset.generated,
+      data: queryOf(state.dataset).filter(filtersOf(url.searchParams))
+    })],
+    [/^\/tlds\/([^/]+)$/, (state, url, match) => {
+      const tld = decodeParam(match[1]);
+      const tldObj = queryOf(state.dataset).lookup(tld);
+      if (!tldObj) {
+        throw httpError(404, 'UNKNOWN_TLD', `'${tld}' is not a TLD in the root zone`);
+      }
+      return tldObj;
+    }],
+    [/^\/check\/([^/]+)$/, (state, url, match) => {
+      const { tldInfo, ...parsed } = parseDomain(decodeParam(match[1]), queryOf(state.dataset));
+      return {
+        ...parsed,
+        isPubliclyRegisterable: parsed.isValid && isTLDObjPubliclyRegisterable(tldInfo)
+      };
+    }]
+  ];
+
+  return (req, res) => {
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw httpError(405, 'METHOD_NOT_ALLOWED', `${req.method} isn't allowed, the API is read-only`);
+      }
+      const url = new URL(req.url, 'http://localhost');
+      const route = routes
+        .map(([regex, respond]) => [url.pathname.match(regex), respond])
+        .find(([match]) => match);
+      if (!route) {
+        throw httpError(404, 'NOT_FOUND', `No endpoint at '${url.pathname}'`);
+      }
+      const [match, respond] = route;
+      sendJSON(req, res, 200, respond(getState(), url, match));
+    }
+    catch (e) {
+      const status = e.status || 500;
+      if (status === 500) {
+        createLogger('serve').error('Request failed', { url: req.url, error: e.message });
+      }
+      sendJSON(req, res, status, { error: { code: e.code || 'INTERNAL_ERROR', message: e.message } });
+    }
+  };
+}
+
+/**
+ * Creates an HTTP server for the API of `createRequestHandler()` that loads its
+ * dataset with `load` and loads it again every `opts.refreshSeconds`. When a
+ * refresh fails, the last dataset keeps being served
+ * @param {Function} load Async function returning the dataset, given the
+ * current one (undefined the first time)
+ * @param {object} [opts]
+ * * `.refreshSeconds` - How often to load the dataset again (default: never)
+ * @returns {object}
+ * * `.server` - The `http.Server`
+ * * `.listen(port, host)` - Loads the dataset and starts listening, resolves to
+ *     `server.address()`. Throws if the first load fails
+ * * `.refresh()` - Loads the dataset again now
+ * * `.close()` - Stops listening and refreshing
+ */
+export function createDataServer(load, { refreshSeconds } = {}) {
+  const log = createLogger('serve');
+  const state = {};
+  let timer;
+  let closed = false;
+
+  const refresh = async () => {
+    try {
+      state.dataset = await load(state.dataset);
+      state.loadedAt = new Date().toISOString();
+      log.info(`Serving data generated ${state.dataset.generated}, TLDs`, { count: state.dataset.data.length });
+    }
+    catch (e) {
+      if (!state.dataset) {
+        throw e;
+      }
+      log.error(`Refresh failed, still serving the data generated ${state.dataset.generated}`, {
+        code: 'REFRESH_FAILED', error: e.message });
+    }
+  };
+  // Waits for a refresh to finish before scheduling the next, so they never overlap
+  const schedule = () => {
+    if (!refreshSeconds || closed) {
+      return;
+    }
+    state.nextRefreshAt = new Date(Date.now() + refreshSeconds * 1000).toISOString();
+    timer = setTimeout(() => refresh().then(schedule), refreshSeconds * 1000);
+  };
+
+  const server = http.createServer(createRequestHandler(() => state));
+  return {
+    server,
+    refresh,
+    async listen(port, host) {
+      await refresh();
+      schedule();
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+      return server.address();
+    },
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
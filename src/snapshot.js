@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+
+// Snapshots are a directory with two files per response
+// * `<name>.body` - The raw response body
+// * `<name>.json` - Metadata, `{ url, fetchedAt, sha256, status, statusText, headers, body }`
+// There's no shared manifest so that concurrent requests (and crashed runs)
+// never leave it half written
+const META_EXT = '.json';
+const BODY_EXT = '.body';
+
+// Current snapshot configuration, see `configureSnapshot()`
+let snapshot = {
+  mode: undefined,
+  dir: undefined,
+  index: undefined
+};
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Converts a URL into a file name similar to the ones in `test/fetchDummy`,
+ * with a hash of the full URL so query strings/long URLs never collide
+ * @param {String} url
+ * @returns {String}
+ */
+export function urlToFileName(url) {
+  const readable = url
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/[^a-z0-9.\-]+/gi, '_')
+    .slice(0, 100);
+  return `${readable}_${sha256(url).slice(0, 12)}`;
+}
+
+/**
+ * Reads all the metadata files in a snapshot directory
+ * @param {String} dir
+ * @returns {Object} Metadata objects keyed by URL
+ */
+export function readSnapshotIndex(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(META_EXT))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')))
+    .map(meta => ({ [meta.url]: meta }))
+    .reduce((acc, o) => Object.assign(acc, o), {});
+}
+
+/**
+ * Sets how `fetch()` in `src/utils.js` uses snapshots
+ * @param {Object} [opts] Leave out to disable snapshots
+ * * `.mode` - 'record' to save every response into `.dir`, 'replay' to read every
+ *     response out of `.dir` without touching the network
+ * * `.dir` - The snapshot directory
+ */
+export function configureSnapshot({ mode, dir } = {}) {
+  if (mode === 'record') {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  snapshot = {
+    mode,
+    dir,
+    index: mode === 'replay' ? readSnapshotIndex(dir) : undefined
+  };
+}
+
+export function getSnapshotMode() {
+  return snapshot.mode;
+}
+
+/**
+ * When replaying, the time of the latest response in the snapshot. Use this as
+ * "now" to reproduce the output of the run that recorded it
+ * @returns {dayjs|undefined}
+ */
+export function getSnapshotTime() {
+  if (snapshot.mode !== 'replay') {
+    return undefined;
+  }
+  return Object.values(snapshot.index)
+    .map(meta => dayjs(meta.fetchedAt))
+    .reduce((acc, itm) => acc === undefined || itm.isAfter(acc) ? itm : acc, undefined);
+}
+
+/**
+ * Saves a response into the snapshot directory
+ * @param {String} url The requested URL
+ * @param {Buffer} body The response body
+ * @param {Object} resp The response (for the status and headers)
+ */
+export function recordResponse(url, body, resp) {
+  const name = urlToFileName(url);
+  const meta = {
+    url,
+    fetchedAt: dayjs().format(),
+    sha256: sha256(body),
+    status: resp.status,
+    statusText: resp.statusText,
+    headers: Object.fromEntries(resp.headers.entries()),
+    body: name + BODY_EXT
+  };
+  fs.writeFileSync(path.join(snapshot.dir, name + BODY_EXT), body);
+  fs.writeFileSync(path.join(snapshot.dir, name + META_EXT), JSON.stringify(meta, null, 2));
+}
+
+/**
+ * Reads a response out of the snapshot directory
+ * @param {String} url The requested URL
+ * @returns {Object} `{ body, url, status, statusText, headers }` to build a
+ * Response from, plus `fetchedAt`, when it was recorded
+ */
+export function replayResponse(url) {
+  const meta = snapshot.index[url];
+  if (!meta) {
+    throw new Error(`'${url}' not found in snapshot '${snapshot.dir}'`);
+  }
+  const body = fs.readFileSync(path.join(snapshot.dir, meta.body));
+  if (sha256(body) !== meta.sha256) {
+    throw new Error(`Snapshot body for '${url}' does not match its sha256`);
+  }
+  return {
+    body,
+    url,
+    status: meta.status,
+    statusText: meta.statusText,
+    headers: meta.headers,
+    fetchedAt: meta.fetchedAt
+  };
+}
@@ -0,0 +1,37 @@
+import ccTLDPolicies from '../../data/ccTLDPolicies.json';
+
+/**
+ * Registration policies of ccTLDs. ccTLDs have no registry agreements with
+ * ICANN and their policies are all over the place, so these are hand-curated
+ * in data/ccTLDPolicies.json
+ */
+export const ccTLDPoliciesSource = {
+  name: 'ccTLDPolicies',
+  title: 'ccTLD policies',
+  fields: ['isBrand', 'hasRestrictions', 'localPresence', 'registersAtSecondLevel',
+    'secondLevelDomains'],
+  fetches: [],
+  dependsOn: ['ianaDB'],
+  async enrich(ctx) {
+    const prov = ctx.provenance('manual');
+    const ccTLDs = ctx.tlds.filter(t => t.type === 'country-code');
+    const ccTLDsWithNoPolicy = ccTLDs.filter(t => !ccTLDPolicies[t.tld]);
+    ctx.log.info('ccTLDs with no curated policy', { count: ccTLDsWithNoPolicy.length });
+    return ccTLDs
+      .filter(t => ccTLDPolicies[t.tld])
+      .map(t => {
+        const policy = ccTLDPolicies[t.tld];
+        return {
+          tld: t.tld,
+          values: {
+            isBrand: false,
+            hasRestrictions: policy.localPresence !== 'none',
+            localPresence: policy.localPresence,
+            registersAtSecondLevel: policy.registersAtSecondLevel,
+            secondLevelDomains: policy.secondLevelDomains
+          },
+          provenance: prov
+        };
+      });
+  }
+};
@@ -0,0 +1,108 @@
+import dayjs from 'dayjs';
+import { GA_CONFIDENCE, estimateGA } from '../ga.js';
+import { provenance } from '../pipeline.js';
+import { recordAnomaly } from '../report.js';
+import { STATUS_PERIODS_URL, NEW_GTLDS_CSV_URL } from '../urls.js';
+import { isNewGTLD } from './gtlds.js';
+import gaOverrides from '../../data/gaOverrides.json';
+
+/**
+ * The status periods of new gTLDs and when they went into General
+ * Availability (see `estimateGA()`)
+ */
+export const generalAvailabilitySource = {
+  name: 'generalAvailability',
+  title: 'gTLDs with status periods',
+  fields: ['periods', 'periodsLastUpdated', 'gaDate', 'gaConfidence', 'isNotInGeneralAvailability'],
+  fetches: [STATUS_PERIODS_URL, NEW_GTLDS_CSV_URL],
+  dependsOn: ['ianaDB'],
+  async enrich(ctx) {
+    // Rows that can't be parsed only fail their TLD
+    const sunriseSunsetTLDs = await ctx.fetchers.getTLDsWithStatusPeriods(ctx.now, { onError: ctx.fail });
+    const statusPeriodsProv = provenance('statusPeriods', 'scraped', STATUS_PERIODS_URL, ctx.fetchedAt(STATUS_PERIODS_URL));
+    ctx.log.info('Found gTLDs', { count: sunriseSunsetTLDs.length });
+    const newGTLDs = ctx.tlds.filter(isNewGTLD);
+    ctx.log.info('gTLDs with no status', {
+      tlds: newGTLDs
+        .filter(t => !sunriseSunsetTLDs.find(o => o.tld === t.tld))
+        .map(t => t.tld)
+    });
+
+    const delegatedTLDs = await ctx.fetchers.getGTLDsFromNewGTLDsCSV();
+    const newGTLDsProv = provenance('newGTLDs', 'scraped', NEW_GTLDS_CSV_URL, ctx.fetchedAt(NEW_GTLDS_CSV_URL));
+    ctx.log.info('Found gTLDs with delegation dates', { count: delegatedTLDs.length });
+
+    const gaProvs = {
+      override: provenance('gaOverrides', 'manual'),
+      trademarkClaims: statusPeriodsProv,
+      periods: statusPeriodsProv,
+      delegation: newGTLDsProv
+    };
+    const gaDisagreements = [];
+    const contributions = newGTLDs.map(t => {
+      const o = sunriseSunsetTLDs.find(o => o.tld === t.tld);
+      const delegated = delegatedTLDs.find(o => o.tld === t.tld);
+      const override = gaOverrides[t.tld];
+      const periods = o ? [{
+        tld: t.tld,
+        values: { periods: o.periods, periodsLastUpdated: o.lastUpdated },
+        provenance: statusPeriodsProv
+      }] : [];
+      const ga = estimateGA({
+        periods: o ? o.periods : [],
+        delegationDate: delegated && delegated.delegationDate,
+        override: override && override.gaDate
+      });
+      if (!ga.gaDate) {
+        // A gTLD with status periods but no dates hasn't announced GA yet. One
+        // with nothing at all is most likely old enough to have fallen off
+        // every list, so assume it's available
+        return [...periods, {
+          tld: t.tld,
+          values: { isNotInGeneralAvailability: !!o },
+          provenance: o ? statusPeriodsProv :
+            provenance('statusPeriods', 'assumed', STATUS_PERIODS_URL, statusPeriodsProv.fetchedAt)
+        }];
+      }
+
+      if (ga.disagreements.length) {
+        gaDisagreements.push([t.tld, ga]);
+      }
+      return [...periods, {
+        tld: t.tld,
+        values: {
+          gaDate: ga.gaDate,
+          gaConfidence: ga.gaConfidence,
+          isNotInGeneralAvailability: dayjs(ga.gaDate).isAfter(ctx.now)
+        },
+        provenance: gaProvs[ga.estimator]
+      }];
+    }).flat();
+
+    const notInGA = contributions.filter(c => c.values.isNotInGeneralAvailability);
+    ctx.log.info('gTLDs which haven\'t hit General Availability yet', { tlds: notInGA.map(c => c.tld) });
+    ctx.log.info('gTLDs of those with spec 13', {
+      tlds: notInGA
+        .filter(c => (sunriseSunsetTLDs.find(o => o.tld === c.tld) || {}).spec13)
+        .map(c => c.tld)
+    });
+    const gaConfidenceCounts = GA_CONFIDENCE
+      .map(c => `${c} ${contributions.filter(o => o.values.gaConfidence === c).length}`)
+      .join(', ');
+    ctx.log.info(`General Availability confidence: ${gaConfidenceCounts}`);
+    ctx.log.info('General Availability estimates that disagree', { count: gaDisagreements.length });
+    gaDisagreements.forEach(([tld, ga]) => {
+      const others = ga.disagreements
+        .map(d => `${d.estimator} ${d.date} (${d.days > 0 ? '+' : ''}${d.days}d)`)
+        .join(', ');
+      recordAnomaly('gaDisagreement', {
+        tld,
+        estimator: ga.estimator,
+        gaDate: ga.gaDate,
+        disagreements: ga.disagreements
+      });
+      ctx.log.debug(`${tld}: ${ga.estimator} ${ga.gaDate}, but ${others}`, { tld });
+    });
+    return contributions;
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Original gTLDs, marked 'generic' but with no status periods or registry
+ * agreement data like the new gTLDs
+ */
+export const LEGACY_GTLDS = ['com', 'info', 'net', 'org', 'mobi'];
+
+/**
+ * If a TLD object is a gTLD from the new gTLD program (not a legacy gTLD)
+ * @param {object} t TLD object with `.type`
+ * @returns {boolean}
+ */
+export function isNewGTLD(t) {
+  return t.type === 'generic' && !LEGACY_GTLDS.includes(t.tld);
+}
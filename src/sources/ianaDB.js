@@ -0,0 +1,40 @@
+import { _assert } from '../helpers.js';
+import { IANA_DB_URL } from '../urls.js';
+
+/**
+ * The type and sponsor of every TLD from the IANA Root DB
+ */
+export const ianaDBSource = {
+  name: 'ianaDB',
+  title: 'TLDs and categories from IANA Root DB',
+  fields: ['type', 'sponsor'],
+  fetches: [IANA_DB_URL],
+  dependsOn: ['rootZone'],
+  required: true,
+  async enrich(ctx) {
+    const ianaDBTLDs = await ctx.fetchers.getTLDInfoFromIANADB();
+    const prov = ctx.provenance('scraped', IANA_DB_URL, ctx.fetchedAt(IANA_DB_URL));
+    ctx.log.info('Found TLDs', { count: ianaDBTLDs.length });
+    ctx.log.info(`Found types: ${Array.from(new Set(ianaDBTLDs.map(o => o.type))).join(', ')}`);
+    // TLDs might be in this source but not in the root zone if the TLD is
+    // delegated but not in DNS or if the registry service has been terminated
+    const rootZoneTLDs = new Set(ctx.tlds.map(t => t.tld));
+    const notInRootZone = ianaDBTLDs
+      .map(o => o.tld)
+      .filter(tld => !rootZoneTLDs.has(tld));
+    if (notInRootZone.length) {
+      ctx.log.warn('TLDs in the IANA DB but not the root zone', { code: 'IANA_DB_NOT_IN_ROOT_ZONE', tlds: notInRootZone });
+    }
+
+    return ctx.tlds.map(t => {
+      const ianaDBTLD = ianaDBTLDs.find(o => t.tld === o.tld);
+      // IANA data should be exhaustive and define all TLDs in the root zone
+      _assert(ianaDBTLD, `'${t.tld}' must exist in the IANA DB but it didn't`);
+      return {
+        tld: t.tld,
+        values: { type: ianaDBTLD.type, sponsor: ianaDBTLD.sponsor },
+        provenance: prov
+      };
+    });
+  }
+};
@@ -0,0 +1,72 @@
+import punycode from 'punycode';
+import { provenance } from '../pipeline.js';
+import { IANA_DB_URL } from '../urls.js';
+
+// Fields of `getTLDDetailsFromIANA()` that go on the TLD objects. `sponsor`
+// only comes from the IANA DB (see `ianaDBSource`), the detail pages format it
+// slightly differently which would only add conflicts
+const IANA_DETAIL_FIELDS = ['administrativeContactOrg', 'technicalContactOrg',
+  'whoisServer', 'registrationDate', 'recordLastUpdated'];
+
+// The RDAP server on the detail page, only for TLDs the RDAP bootstrap (the
+// source of truth) doesn't list
+function rdapBaseUrlsOf(o, details) {
+  if (o.rdapBaseUrls !== undefined || !details.rdapBaseUrl) {
+    return undefined;
+  }
+  const url = details.rdapBaseUrl;
+  return [url.endsWith('/') ? url : url + '/'];
+}
+
+/**
+ * Fields that can be reused from previous data instead of fetching the detail
+ * pages (see `getTLDData()`). `rdapBaseUrls` is only reused for TLDs the RDAP
+ * bootstrap doesn't list
+ */
+export const REUSABLE_IANA_DETAIL_FIELDS = [...IANA_DETAIL_FIELDS, 'rdapBaseUrls'];
+
+// The reused fields of a TLD, or undefined if its page has to be fetched.
+// Every page has a `recordLastUpdated`, so without it the page wasn't reused
+function reusedContributions(ctx, o) {
+  const prev = (ctx.prevData && ctx.prevData[o.tld]) || {};
+  if (prev.recordLastUpdated === undefined) {
+    return undefined;
+  }
+  return REUSABLE_IANA_DETAIL_FIELDS
+    .filter(f => prev[f] !== undefined)
+    .filter(f => f !== 'rdapBaseUrls' || o.rdapBaseUrls === undefined)
+    .map(f => {
+      const prevProv = (prev.sources && prev.sources[f]) || {};
+      return {
+        tld: o.tld,
+        values: { [f]: prev[f] },
+        provenance: provenance('previousData', 'previous', prevProv.url, prevProv.fetchedAt)
+      };
+    });
+}
+
+/**
+ * Registry details from the IANA per-TLD pages (see `getTLDDetailsFromIANA()`),
+ * or the previous data (`ctx.prevData`) when it has them
+ */
+export const ianaDetailSource = {
+  name: 'ianaDetail',
+  title: 'TLD details from IANA detail pages',
+  fields: [...IANA_DETAIL_FIELDS, 'rdapBaseUrls'],
+  fetches: [`${IANA_DB_URL}/*.html`],
+  dependsOn: ['rootZone', 'rdapBootstrap'],
+  async enrich(ctx) {
+    const contributions = (await ctx.mapLimit(ctx.tlds, async o => reusedContributions(ctx, o) || ctx.isolate(o.tld, async () => {
+      const details = await ctx.fetchers.getTLDDetailsFromIANA(punycode.toASCII(o.tld));
+      const values = IANA_DETAIL_FIELDS
+        .map(f => ({ [f]: details[f] }))
+        .reduce((acc, v) => Object.assign(acc, v), { rdapBaseUrls: rdapBaseUrlsOf(o, details) });
+      return [{ tld: o.tld, values, provenance: ctx.provenance('scraped', details.pageURL, ctx.fetchedAt(details.pageURL)) }];
+    }))).flat();
+    // Reused TLDs have a contribution per field
+    const withWhoisServer = new Set(contributions.filter(c => c.values.whoisServer).map(c => c.tld));
+    ctx.log.info('TLDs with no WHOIS server', { tlds: Array.from(new Set(contributions.map(c => c.tld)))
+      .filter(tld => !withWhoisServer.has(tld)) });
+    return contributions;
+  }
+};
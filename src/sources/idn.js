@@ -0,0 +1,43 @@
+import { idnInfo } from '../idn.js';
+import { provenance } from '../pipeline.js';
+
+/**
+ * The ASCII form, scripts and direction of every TLD and the country and ASCII
+ * ccTLD of IDN ccTLDs (see `idnInfo()`). Nothing is fetched, the country is
+ * hand-curated in data/idnCcTLDs.json
+ */
+export const idnSource = {
+  name: 'idn',
+  title: 'IDN metadata',
+  fields: ['tldAscii', 'isIDN', 'tldScripts', 'tldDirection', 'idnCountry', 'asciiCounterpart'],
+  fetches: [],
+  dependsOn: ['ianaDB'],
+  async enrich(ctx) {
+    const derivedProv = ctx.provenance('derived');
+    const curatedProv = provenance('idnCcTLDs', 'manual');
+    const infos = ctx.tlds.map(t => [t, idnInfo(t.tld)]);
+    ctx.log.info('IDN TLDs', { count: infos.filter(([t, info]) => info.isIDN).length });
+    const uncurated = infos
+      .filter(([t, info]) => info.isIDN && t.type === 'country-code' && !info.idnCountry)
+      .map(([t]) => t.tld);
+    if (uncurated.length) {
+      ctx.log.warn('IDN ccTLDs with no country in data/idnCcTLDs.json', { code: 'IDN_CCTLD_UNCURATED', tlds: uncurated });
+    }
+    return infos
+      .map(([t, info]) => [{
+        tld: t.tld,
+        values: {
+          tldAscii: info.tldAscii,
+          isIDN: info.isIDN,
+          tldScripts: info.tldScripts,
+          tldDirection: info.tldDirection
+        },
+        provenance: derivedProv
+      }, ...(info.idnCountry ? [{
+        tld: t.tld,
+        values: { idnCountry: info.idnCountry, asciiCounterpart: info.asciiCounterpart },
+        provenance: curatedProv
+      }] : [])])
+      .flat();
+  }
+};
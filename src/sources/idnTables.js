@@ -0,0 +1,19 @@
+import { IDN_TABLES_URL } from '../urls.js';
+
+/**
+ * Languages/scripts of the IDN tables every TLD registered with IANA (see
+ * `getIDNTablesFromIANA()`)
+ */
+export const idnTablesSource = {
+  name: 'idnTables',
+  title: 'IDN tables',
+  fields: ['idnScripts'],
+  fetches: [IDN_TABLES_URL],
+  dependsOn: ['rootZone'],
+  async enrich(ctx) {
+    const idnTables = await ctx.fetchers.getIDNTablesFromIANA();
+    const prov = ctx.provenance('scraped', IDN_TABLES_URL, ctx.fetchedAt(IDN_TABLES_URL));
+    ctx.log.info('Found TLDs with IDN tables', { count: idnTables.length });
+    return idnTables.map(o => ({ tld: o.tld, values: { idnScripts: o.scripts }, provenance: prov }));
+  }
+};
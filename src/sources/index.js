@@ -0,0 +1,33 @@
+// The sources `getTLDData()` runs by default, see `runPipeline()`
+import { rootZoneSource } from './rootZone.js';
+import { ianaDBSource } from './ianaDB.js';
+import { idnSource } from './idn.js';
+import { generalAvailabilitySource } from './generalAvailability.js';
+import { registryAgreementSource, REUSABLE_REGISTRY_AGREEMENT_FIELDS } from './registryAgreement.js';
+import { ianaDetailSource, REUSABLE_IANA_DETAIL_FIELDS } from './ianaDetail.js';
+import { rdapBootstrapSource } from './rdapBootstrap.js';
+import { ccTLDPoliciesSource } from './ccTLDPolicies.js';
+import { idnTablesSource } from './idnTables.js';
+
+export { LEGACY_GTLDS, isNewGTLD } from './gtlds.js';
+export { createPublicSuffixListSource } from './publicSuffixList.js';
+
+/**
+ * Fields that can be reused from previous data instead of fetched (see `getTLDData()`)
+ */
+export const REUSABLE_FIELDS = [...REUSABLE_REGISTRY_AGREEMENT_FIELDS, ...REUSABLE_IANA_DETAIL_FIELDS];
+
+/**
+ * Every built-in source, in the order they run
+ */
+export const DEFAULT_SOURCES = [
+  rootZoneSource,
+  ianaDBSource,
+  idnSource,
+  generalAvailabilitySource,
+  registryAgreementSource,
+  rdapBootstrapSource,
+  ianaDetailSource,
+  ccTLDPoliciesSource,
+  idnTablesSource
+];
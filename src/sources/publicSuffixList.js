@@ -0,0 +1,38 @@
+import { reconcilePSL, tldsOfPSLRules } from '../psl.js';
+import { PUBLIC_SUFFIX_LIST_URL } from '../urls.js';
+
+/**
+ * Creates a source that checks the ICANN section of the Public Suffix List
+ * against the root zone (see `reconcilePSL()`), warning about TLDs missing
+ * from it (`PSL_MISSING_TLDS`) and ones in it that aren't delegated
+ * (`PSL_NOT_DELEGATED`). Not one of `DEFAULT_SOURCES` as it's only a check
+ * @param {String} [location] URL or local path of the list (default: the one
+ * on publicsuffix.org)
+ * @returns {object} The source
+ */
+export function createPublicSuffixListSource(location = PUBLIC_SUFFIX_LIST_URL) {
+  return {
+    name: 'publicSuffixList',
+    title: 'Public Suffix List',
+    fields: ['inPublicSuffixList'],
+    fetches: [location],
+    dependsOn: ['rootZone'],
+    async enrich(ctx) {
+      const psl = await ctx.fetchers.getPublicSuffixList(location);
+      ctx.log.info('Found TLDs in the ICANN section', { count: tldsOfPSLRules(psl.icann).length });
+      const { missing, notDelegated } = reconcilePSL(ctx.tlds.map(t => t.tld), psl);
+      if (missing.length) {
+        ctx.log.warn('TLDs in the root zone but not the Public Suffix List', { code: 'PSL_MISSING_TLDS', tlds: missing });
+      }
+      if (notDelegated.length) {
+        ctx.log.warn('TLDs in the Public Suffix List but not the root zone', { code: 'PSL_NOT_DELEGATED', tlds: notDelegated });
+      }
+      const missingSet = new Set(missing);
+      return ctx.tlds.map(t => ({
+        tld: t.tld,
+        values: { inPublicSuffixList: !missingSet.has(t.tld) },
+        provenance: ctx.provenance('scraped', psl.url, ctx.fetchedAt(psl.url))
+      }));
+    }
+  };
+}
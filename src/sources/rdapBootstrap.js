@@ -0,0 +1,28 @@
+import { RDAP_BOOTSTRAP_URL } from '../urls.js';
+
+/**
+ * RDAP servers of every TLD from the RDAP bootstrap (see `getTLDsFromRDAPBootstrap()`).
+ * `ianaDetailSource` fills in the ones it doesn't list from the IANA detail pages
+ */
+export const rdapBootstrapSource = {
+  name: 'rdapBootstrap',
+  title: 'TLDs from RDAP bootstrap',
+  fields: ['rdapBaseUrls'],
+  fetches: [RDAP_BOOTSTRAP_URL],
+  dependsOn: ['rootZone'],
+  async enrich(ctx) {
+    const rdapTLDs = await ctx.fetchers.getTLDsFromRDAPBootstrap();
+    const prov = ctx.provenance('scraped', RDAP_BOOTSTRAP_URL, ctx.fetchedAt(RDAP_BOOTSTRAP_URL));
+    ctx.log.info('Found TLDs', { count: rdapTLDs.length });
+    const rdapTLDSet = new Set(rdapTLDs.map(o => o.tld));
+    ctx.log.info('TLDs with no RDAP service', { tlds: ctx.tlds.map(t => t.tld).filter(tld => !rdapTLDSet.has(tld)) });
+    const rootZoneTLDs = new Set(ctx.tlds.map(t => t.tld));
+    const notInRootZone = rdapTLDs
+      .map(o => o.tld)
+      .filter(tld => !rootZoneTLDs.has(tld));
+    if (notInRootZone.length) {
+      ctx.log.warn('TLDs in the RDAP bootstrap but not the root zone', { code: 'RDAP_NOT_IN_ROOT_ZONE', tlds: notInRootZone });
+    }
+    return rdapTLDs.map(o => ({ tld: o.tld, values: { rdapBaseUrls: o.rdapBaseUrls }, provenance: prov }));
+  }
+};
@@ -0,0 +1,124 @@
+import punycode from 'punycode';
+import { mapReduceToObj } from '../helpers.js';
+import { provenance } from '../pipeline.js';
+import { REGISTRY_AGREEMENT_URL } from '../urls.js';
+import { LEGACY_GTLDS } from './gtlds.js';
+
+// Fields from the registry agreements, `restrictions` is only there if
+// `hasRestrictions` is true
+const REGISTRY_AGREEMENT_FIELDS = ['isBrand', 'hasRestrictions', 'restrictions'];
+
+// Fields of the previous data that can be reused. `hasRestrictions` is
+// reused on its own, since `restrictions` is missing whenever they couldn't be
+// classified (and in data from before it existed). A reused `false` also
+// stands for the `restrictions` that go with it
+function reusableFields(prev) {
+  return [
+    ...(prev.isBrand !== undefined ? ['isBrand'] : []),
+    ...(prev.hasRestrictions !== undefined ? ['hasRestrictions'] : []),
+    ...(prev.restrictions !== undefined || prev.hasRestrictions === false ? ['restrictions'] : [])
+  ];
+}
+
+// Contributions without the values of `fields`
+function withoutFields(contributions, fields) {
+  return contributions
+    .map(c => ({
+      ...c,
+      values: Object.entries(c.values)
+        .filter(([f]) => !fields.includes(f))
+        .map(([f, v]) => ({ [f]: v }))
+        .reduce((acc, o) => Object.assign(acc, o), {})
+    }))
+    .filter(c => Object.keys(c.values).length);
+}
+
+/**
+ * Fields that can be reused from previous data instead of fetching the registry
+ * agreements (see `getTLDData()`)
+ */
+export const REUSABLE_REGISTRY_AGREEMENT_FIELDS = [...REGISTRY_AGREEMENT_FIELDS];
+
+// This is data for which we don't have automation
+const manualData = {
+  // generic
+  ...mapReduceToObj(LEGACY_GTLDS, {}),
+
+  // sponsorted (sTLD)
+  ...mapReduceToObj(
+    ['aero', 'asia', 'cat', 'coop', 'edu', 'gov', 'int', 'jobs', 'mil', 'museum', 'post', 'tel', 'travel', 'xxx'],
+    { isBrand: false, hasRestrictions: true }),
+
+  // generic-restricted
+  ...mapReduceToObj(
+    ['biz', 'name', 'pro'],
+    { isBrand: false, hasRestrictions: true }),
+
+  // infrastructure
+  arpa: { isBrand: false, hasRestrictions: true },
+};
+
+// The registry agreement fields of a TLD from `manualData` or its agreement
+async function registryAgreementContributions(ctx, o) {
+  if(manualData[o.tld]) {
+    return [{ tld: o.tld, values: manualData[o.tld], provenance: provenance('manualData', 'manual') }];
+  }
+  // All gTLDs are marked 'generic', but also includes some that aren't new gTLDs
+  // like .com and .net, which the if clause above should solve
+  else if(o.type === 'generic') {
+    // One odd page only fails this TLD (see `ctx.isolate()`)
+    return ctx.isolate(o.tld, async () => {
+      const asciiTLD = punycode.toASCII(o.tld);
+      const info = await ctx.fetchers.gTLDInfoFromRegistryAgreement(asciiTLD);
+      ctx.log.debug('Got registry agreement data', { tld: asciiTLD, ...info });
+      return [{
+        tld: o.tld,
+        values: { isBrand: info.hasSpec13 || info.hasSpec9Exemption },
+        provenance: ctx.provenance('scraped', info.pageURL, ctx.fetchedAt(info.pageURL))
+      }, {
+        tld: o.tld,
+        values: { hasRestrictions: info.hasSpec12, restrictions: info.restrictions },
+        provenance: ctx.provenance('scraped', info.agreementURL, ctx.fetchedAt(info.agreementURL))
+      }];
+    });
+  }
+  return [];
+}
+
+/**
+ * Brand TLDs and registration restrictions from the gTLD registry agreements
+ * (see `gTLDInfoFromRegistryAgreement()`), the previous data (`ctx.prevData`)
+ * or hand-curated data for TLDs without them
+ */
+export const registryAgreementSource = {
+  name: 'registryAgreement',
+  title: 'TLD information from registry agreements',
+  fields: REGISTRY_AGREEMENT_FIELDS,
+  fetches: [REGISTRY_AGREEMENT_URL],
+  dependsOn: ['ianaDB'],
+  async enrich(ctx) {
+    const contributions = await ctx.mapLimit(ctx.tlds, async o => {
+      // Anything from the outside, field by field. The agreement is skipped
+      // if `isBrand` and `hasRestrictions` are reused, otherwise the fields
+      // that aren't are taken from it (filling in missing `restrictions` too)
+      const prev = (ctx.prevData && ctx.prevData[o.tld]) || {};
+      const reused = reusableFields(prev);
+      const reusedContributions = reused
+        .filter(f => prev[f] !== undefined)
+        .map(f => {
+          const prevProv = (prev.sources && prev.sources[f]) || {};
+          return {
+            tld: o.tld,
+            values: { [f]: prev[f] },
+            provenance: provenance('previousData', 'previous', prevProv.url, prevProv.fetchedAt)
+          };
+        });
+      if(reused.includes('isBrand') && reused.includes('hasRestrictions')) {
+        return reusedContributions;
+      }
+      const fresh = await registryAgreementContributions(ctx, o);
+      return [...withoutFields(fresh, reused), ...reusedContributions];
+    });
+    return contributions.flat();
+  }
+};
@@ -0,0 +1,25 @@
+import { ROOT_ZONE_URL } from '../urls.js';
+
+// Fields from the root zone records (see `summarizeRootZone()`)
+const DNS_FIELDS = ['nameservers', 'glue', 'dsRecords', 'isDNSSECSigned', 'dsAlgorithms'];
+
+/**
+ * Every TLD in the root zone (the source of truth for which TLDs exist) with
+ * its nameservers and DNSSEC records
+ */
+export const rootZoneSource = {
+  name: 'rootZone',
+  title: 'TLDs from root zone',
+  fields: ['tld', ...DNS_FIELDS],
+  fetches: [ROOT_ZONE_URL],
+  required: true,
+  definesTLDs: true,
+  async enrich(ctx) {
+    const rootZone = await ctx.fetchers.getRootZone();
+    const prov = ctx.provenance('scraped', ROOT_ZONE_URL, ctx.fetchedAt(ROOT_ZONE_URL));
+    ctx.log.info('Found TLDs', { count: rootZone.length });
+    ctx.log.info('DNSSEC signed TLDs', { count: rootZone.filter(o => o.isDNSSECSigned).length });
+    ctx.log.info('TLDs not DNSSEC signed', { tlds: rootZone.filter(o => !o.isDNSSECSigned).map(o => o.tld) });
+    return rootZone.map(o => ({ tld: o.tld, values: o, provenance: prov }));
+  }
+};
@@ -0,0 +1,9 @@
+// URLs of every source `src/fetch.js` scrapes
+export const ROOT_ZONE_URL = 'http://www.internic.net/domain/root.zone';
+export const IANA_DB_URL = 'https://www.iana.org/domains/root/db';
+export const STATUS_PERIODS_URL = 'https://newgtlds.icann.org/program-status/sunrise-claims-periods.xls';
+export const REGISTRY_AGREEMENT_URL = 'https://www.icann.org/en/about/agreements/registries/';
+export const IDN_TABLES_URL = 'https://www.iana.org/domains/idn-tables';
+export const RDAP_BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+export const NEW_GTLDS_CSV_URL = 'https://www.icann.org/resources/registries/gtlds/v1/newgtlds.csv';
+export const PUBLIC_SUFFIX_LIST_URL = 'https://publicsuffix.org/list/public_suffix_list.dat';
@@ -1,54 +1,182 @@
-import chalk from 'chalk';
+import dayjs from 'dayjs';
 import nodeFetch from 'node-fetch';
 import fetchRetry from 'fetch-retry';
+import { getSnapshotMode, recordResponse, replayResponse } from './snapshot.js';
+import { isCacheEnabled, readCacheEntry, useCacheEntry, storeCacheEntry } from './cache.js';
+import { createLogger } from './log.js';
+import { recordRequest } from './report.js';
+import { getHTTPConfig, agentFor, parseRetryAfter, pauseHost, scheduleRequest } from './http.js';
 
-// A custom version of fetch() that retries 4 times at exponential on network errors
-// and 500 errors
-const _fetch = fetchRetry(nodeFetch);
-const fetch = (...args) => {
-  args[1] = Object.assign({}, {
-    ...{
-      retries: 4,
-      // Exponential backoff
-      retryDelay: function(attempt, error, response) {
-        return Math.pow(3, attempt) * 10000; // 10s, 30s, 90s, 270s
-      },
-      // RetryOn error codes 500-511
-      retryOn: new Array(12).fill().map((_, i)=>i+500)
-    },
-    ...args[1]
-  });
-  return _fetch(...args);
-};
-export { fetch };
+const log = createLogger('fetch');
+
+// Converts the data stored in snapshots/the cache to a Response
+function toResponse({ body, url, status, statusText, headers }) {
+  return new nodeFetch.Response(body, { url, status, statusText, headers });
+}
+
+// When the response of every URL fetched was fetched, see `getFetchedAt()`
+const fetchTimes = new Map();
+
+/**
+ * When the response `fetch()` last returned for `url` was fetched: when it was
+ * recorded for a replayed snapshot, when it was stored or revalidated for a
+ * cached one and its Date header (or when it arrived) otherwise
+ * @param {String} url
+ * @returns {String|undefined} ISO 8601 date, undefined if `url` wasn't fetched
+ */
+export function getFetchedAt(url) {
+  return fetchTimes.get(url);
+}
+
+function dateOf(resp) {
+  const date = Date.parse(resp.headers.get('date'));
+  return isNaN(date) ? dayjs().format() : dayjs(date).format();
+}
 
-export function diffArrayUnordered(actual, expected) {
-  // In actual but not expected
-  return actual
-    .filter(i => !expected.includes(i))
-    .map(i => `+${chalk.green(i)}`)
-    .join(', ') + '; ' +
-  // In expected by not actual
-  expected
-    .filter(i => !actual.includes(i))
-    .map(i => `-${chalk.red(i)}`)
-    .join(', ');
+function responseInfo(resp) {
+  return {
+    url: resp.url,
+    status: resp.status,
+    statusText: resp.statusText,
+    headers: Object.fromEntries(resp.headers.entries())
+  };
 }
 
-export function mapReduceToObj(arr, obj) {
-  return arr
-    .map(_ => ({ [_]: obj }))
-    .reduce(Object.assign, {});
+// A custom version of fetch() that retries on network errors, timeouts, 429s and
+// 5xxs at exponential backoff (or after the Retry-After of the response), rate
+// limited per host, with the User-Agent, proxy and timeout from `configureHTTP()`
+// (see `src/http.js`). Responses go through the on-disk HTTP cache if one is
+// configured (see `src/cache.js`) and are saved to/read from a snapshot if one is
+// configured (see `src/snapshot.js`)
+// Takes an extra `source` option, the name of the source doing the request (for
+// picking cache TTLs and counting requests in the run report)
+// Every attempt (retries too) waits for its turn, see `scheduleRequest()`
+function scheduledFetch(fetch) {
+  return (url, opts) => scheduleRequest(url, () => fetch(url, opts));
 }
+const _fetch = fetchRetry(scheduledFetch(nodeFetch));
+const fetch = async (url, opts = {}) => {
+  const { source, ...fetchOpts } = opts;
+  if (getSnapshotMode() === 'replay') {
+    recordRequest(source, { cached: true });
+    const replayed = replayResponse(url);
+    fetchTimes.set(url, replayed.fetchedAt);
+    return toResponse(replayed);
+  }
+
+  const cacheEntry = isCacheEnabled() ? readCacheEntry(url, source) : undefined;
+  let resp;
+  if (cacheEntry && cacheEntry.isFresh) {
+    recordRequest(source, { cached: true });
+    const cached = useCacheEntry(cacheEntry);
+    fetchTimes.set(url, cached.fetchedAt);
+    resp = toResponse(cached);
+  }
+  else {
+    const http = getHTTPConfig();
+    const fetchOptsWithDefaults = {
+      ...{
+        retries: http.retries,
+        // Retry-After if the response has one, otherwise exponential backoff
+        // (10s, 30s, 90s, 270s by default)
+        retryDelay: function(attempt, error, response) {
+          const retryAfter = response ? parseRetryAfter(response.headers.get('retry-after')) : undefined;
+          return retryAfter !== undefined ? retryAfter : Math.pow(3, attempt) * http.retryDelayMs;
+        },
+        // Network errors/timeouts, 429s and 5xxs, unless the server asks to
+        // wait longer than we're willing to
+        retryOn: function(attempt, error, response) {
+          if (attempt >= fetchOptsWithDefaults.retries) {
+            return false;
+          }
+          if (error) {
+            return true;
+          }
+          if (response.status !== 429 && response.status < 500) {
+            return false;
+          }
+          const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+          if (retryAfter > http.maxRetryDelayMs) {
+            log.warn('Not retrying, Retry-After is too long', { url, status: response.status, retryAfterMs: retryAfter });
+            return false;
+          }
+          return true;
+        },
+        timeout: http.timeoutMs,
+        agent: agentFor(url)
+      },
+      ...fetchOpts
+    };
+    // retryDelay is only called before a retry, so count them there
+    let retries = 0;
+    const { retryDelay } = fetchOptsWithDefaults;
+    try {
+      resp = await _fetch(url, {
+        ...fetchOptsWithDefaults,
+        retryDelay: (attempt, error, response) => {
+          retries++;
+          log.info('Retrying request', { url, attempt: attempt + 1,
+            ...(response ? { status: response.status } : { error: error.message }) });
+          const delay = typeof retryDelay === 'function' ? retryDelay(attempt, error, response) : retryDelay;
+          // Slows down every other request to the host too. The retry then
+          // waits for the host like they do instead of sleeping on its own,
+          // which would queue it behind the requests started meanwhile
+          if (response && response.status === 429) {
+            pauseHost(url, delay);
+            return 0;
+          }
+          return delay;
+        },
+        headers: {
+          'User-Agent': http.userAgent,
+          ...fetchOpts.headers,
+          ...(cacheEntry ? cacheEntry.conditionalHeaders : {})
+        }
+      });
+    }
+    catch(err) {
+      recordRequest(source, { retries, failed: true });
+      throw err;
+    }
+    recordRequest(source, { retries, failed: !resp.ok && resp.status !== 304 });
+    fetchTimes.set(url, dateOf(resp));
+    if (cacheEntry && resp.status === 304) {
+      resp = toResponse(useCacheEntry(cacheEntry, true));
+    }
+    else if (isCacheEnabled()) {
+      const body = await resp.buffer();
+      storeCacheEntry(url, body, resp);
+      resp = toResponse({ ...responseInfo(resp), body });
+    }
+  }
+
+  if (getSnapshotMode() === 'record') {
+    const body = await resp.buffer();
+    recordResponse(url, body, resp);
+    resp = toResponse({ ...responseInfo(resp), body });
+  }
+  return resp;
+};
+export { fetch };
+export { diffArrayUnordered, mapReduceToObj, arrayPrototypeUnique, _assert } from './helpers.js';
 
-export function arrayPrototypeUnique() {
-  return Array.from(new Set(this));
+const DURATION_UNITS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60
 };
 
-/**Assertion helper, custom message and error type
+/**
+ * Parses a duration like '90', '30s', '12h' or '7d'
+ * @param {String} str
+ * @returns {Number} Number of seconds
  */
-export function _assert(condition, message = "Assertion Error", error = Error) {
-  if (!condition) {
-    throw new error(message);
+export function parseDuration(str) {
+  const match = String(str).trim().match(/^(\d+(?:\.\d+)?)([smhdw]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration '${str}', expected something like '30s', '12h' or '7d'`);
   }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2] || 's'];
 }
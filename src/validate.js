@@ -0,0 +1,118 @@
+import Ajv from 'ajv';
+import schema from '../tldData.schema.json';
+
+/**
+ * Default sanity thresholds for `validateTLDs()`
+ * * `.minTLDs` - Fewest TLDs the data can have (the root zone has well over 1000)
+ * * `.maxChangePercent` - Most TLDs that can be added + removed compared to the
+ *     previous data, as a percent of the previous TLD count
+ * * `.requiredGenericFields` - Fields every generic TLD must have defined
+ * * `.maxFailedTLDs` - Most generic TLDs that can be missing
+ *     `requiredGenericFields` because a source failed for them (and the
+ *     previous data didn't have the fields either)
+ */
+export const DEFAULT_THRESHOLDS = {
+  minTLDs: 1000,
+  maxChangePercent: 5,
+  requiredGenericFields: ['isBrand', 'hasRestrictions'],
+  maxFailedTLDs: 10
+};
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addSchema(schema);
+const validateDatasetSchema = ajv.getSchema(schema.$id);
+const validateTLDsSchema = ajv.compile({
+  type: 'array',
+  items: { $ref: `${schema.$id}#/definitions/tld` }
+});
+
+// Validator for TLD objects that can also have the given extra fields, with
+// `tldData.schema.json` as the base (its `#/definitions/...` refs still work)
+function tldsValidatorWithFields(fieldSchemas) {
+  const tld = schema.definitions.tld;
+  return ajv.compile({
+    type: 'array',
+    items: { $ref: '#/definitions/tld' },
+    definitions: {
+      ...schema.definitions,
+      tld: { ...tld, properties: { ...tld.properties, ...fieldSchemas } }
+    }
+  });
+}
+
+function schemaErrors(validator, data) {
+  if (validator(data)) {
+    return [];
+  }
+  return validator.errors
+    .map(e => `${e.instancePath || '/'} ${e.message}`);
+}
+
+/**
+ * Validates a full dataset (`{ schemaVersion, generated, data }`) against
+ * `tldData.schema.json`
+ * @param {object} dataset
+ * @returns {String[]} A message for every problem found, empty if valid
+ */
+export function validateDataset(dataset) {
+  return schemaErrors(validateDatasetSchema, dataset);
+}
+
+/**
+ * Validates TLD objects from `getTLDData()` against `tldData.schema.json` and
+ * checks them against sanity thresholds (to catch scraper regressions)
+ * @param {object[]} tlds The TLD objects
+ * @param {Object} [opts]
+ * * `.previous` - TLD objects of the previous data, to check `maxChangePercent`
+ *     against (skipped if not given)
+ * * `.thresholds` - Overrides for `DEFAULT_THRESHOLDS`
+ * * `.exempt` - TLDs that don't need `requiredGenericFields`
+ * * `.failed` - TLDs a source failed for, which can be missing
+ *     `requiredGenericFields` up to `maxFailedTLDs` of them
+ * * `.fieldSchemas` - JSON Schemas of extra fields the TLD objects can have
+ *     (from plugin sources), keyed by field name
+ * @returns {String[]} A message for every problem found, empty if valid
+ */
+export function validateTLDs(tlds, { previous, thresholds = {}, exempt = [], failed = [],
+  fieldSchemas = {} } = {}) {
+  const { minTLDs, maxChangePercent, requiredGenericFields, maxFailedTLDs } =
+    Object.assign({}, DEFAULT_THRESHOLDS, thresholds);
+  const validator = Object.keys(fieldSchemas).length ?
+    tldsValidatorWithFields(fieldSchemas) :
+    validateTLDsSchema;
+  const errors = schemaErrors(validator, tlds);
+
+  if (tlds.length < minTLDs) {
+    errors.push(`Only ${tlds.length} TLDs, expected at least ${minTLDs}`);
+  }
+
+  if (previous && previous.length) {
+    const tldSet = new Set(tlds.map(t => t.tld));
+    const prevSet = new Set(previous.map(t => t.tld));
+    const added = tlds.filter(t => !prevSet.has(t.tld)).length;
+    const removed = previous.filter(t => !tldSet.has(t.tld)).length;
+    const changePercent = (added + removed) / previous.length * 100;
+    if (changePercent > maxChangePercent) {
+      errors.push(`${added} TLDs added and ${removed} removed (${changePercent.toFixed(1)}%), expected at most ${maxChangePercent}%`);
+    }
+  }
+
+  const missing = tlds
+    .filter(t => t.type === 'generic' && !exempt.includes(t.tld))
+    .map(t => [t.tld, requiredGenericFields.filter(f => t[f] === undefined)])
+    .filter(([tld, fields]) => fields.length);
+  const examplesOf = list => list
+    .slice(0, 10)
+    .map(([tld, fields]) => `${tld} (${fields.join(', ')})`)
+    .join(', ') + (list.length > 10 ? ', ...' : '');
+  const missingFailed = missing.filter(([tld]) => failed.includes(tld));
+  const missingOthers = missing.filter(([tld]) => !failed.includes(tld));
+  if (missingOthers.length) {
+    errors.push(`${missingOthers.length} generic TLDs are missing required fields: ${examplesOf(missingOthers)}`);
+  }
+  if (missingFailed.length > maxFailedTLDs) {
+    errors.push(`${missingFailed.length} generic TLDs are missing required fields after a source failed for them, expected at most ${maxFailedTLDs}: ${examplesOf(missingFailed)}`);
+  }
+
+  return errors;
+}
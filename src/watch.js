@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import dayjs from 'dayjs';
+import nodeFetch from 'node-fetch';
+import { diffTLDData, diffToMarkdown } from './diff.js';
+import { HISTORY_KINDS } from './history.js';
+import { isTLDObjPubliclyRegisterable } from './query.js';
+import { createLogger } from './log.js';
+import { getHTTPConfig, agentFor } from './http.js';
+
+/**
+ * Version of the watch state format (`{ watchStateVersion, baseline, pending, announced }`)
+ */
+export const WATCH_STATE_VERSION = 1;
+
+/**
+ * Kinds of changes from `diffTLDData()` announced by default, the same ones the
+ * history keeps (period changes are too noisy)
+ */
+export const DEFAULT_WATCH_KINDS = HISTORY_KINDS;
+
+// How long an announced change is remembered so it isn't announced again
+const DEFAULT_DEDUPE_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Creates an empty watch state
+ * @returns {object}
+ * * `.baseline` - The dataset changes are found against, the last one fetched
+ * * `.pending` - `{ change, targets }` of changes not delivered to all their
+ *     targets yet
+ * * `.announced` - Object of ids of delivered changes mapped to when
+ */
+export function createWatchState() {
+  return {
+    watchStateVersion: WATCH_STATE_VERSION,
+    baseline: undefined,
+    pending: [],
+    announced: {}
+  };
+}
+
+/**
+ * Checks a parsed watch state file
+ * @param {object} state
+ * @returns {object} The state
+ */
+export function loadWatchState(state) {
+  if (!state || !Array.isArray(state.pending) || typeof state.announced !== 'object') {
+    throw new Error('Watch state must be an object with a `pending` array and an `announced` object');
+  }
+  if (state.watchStateVersion > WATCH_STATE_VERSION) {
+    throw new Error(`Watch state has watchStateVersion ${state.watchStateVersion}, this version only supports up to ${WATCH_STATE_VERSION}`);
+  }
+  return state;
+}
+
+/**
+ * Id of a change from `diffTLDData()`, the same for the same change found twice
+ * @param {object} change
+ * @returns {String}
+ */
+export function changeId(change) {
+  return crypto.createHash('sha1').update(JSON.stringify(change)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Finds the changes between the baseline of the watch state and a newly
+ * fetched dataset and queues them for delivery. The first dataset only
+ * becomes the baseline. Changes still pending or announced in the last
+ * `opts.dedupeSeconds` aren't queued again (like a TLD that flips back and
+ * forth)
+ * @param {object} state From `createWatchState()`/`loadWatchState()`, not modified
+ * @param {object} dataset The new dataset, `{ generated, data }`
+ * @param {object} opts
+ * * `.targets` - Names of the targets to deliver the changes to
+ * * `.kinds` - Kinds of changes to announce (default: `DEFAULT_WATCH_KINDS`)
+ * * `.dedupeSeconds` - How long announced changes are remembered (default: 30 days)
+ * * `.now` - dayjs() of the date to treat as now
+ * @returns {object}
+ * * `.state` - The new state, `dataset` as its baseline
+ * * `.queued` - The changes queued, the `diffTLDData()` change plus its `.id`,
+ *     `.detectedAt` and `.isPubliclyRegisterable` (if the TLD is still in the
+ *     root zone, see `isTLDObjPubliclyRegisterable()`)
+ */
+export function queueChanges(state, dataset, { targets, kinds = DEFAULT_WATCH_KINDS,
+  dedupeSeconds = DEFAULT_DEDUPE_SECONDS, now = dayjs() }) {
+  const announced = Object.entries(state.announced)
+    .filter(([id, at]) => now.diff(dayjs(at), 'second') < dedupeSeconds)
+    .map(([id, at]) => ({ [id]: at }))
+    .reduce((acc, o) => Object.assign(acc, o), {});
+  if (!state.baseline) {
+    return { state: { ...state, baseline: dataset, announced }, queued: [] };
+  }
+
+  const newTLDs = new Map(dataset.data.map(t => [t.tld, t]));
+  const pendingIds = new Set(state.pending.map(p => p.change.id));
+  const queued = diffTLDData(state.baseline, dataset).changes
+    .filter(c => kinds.includes(c.kind))
+    .map(c => ({
+      id: changeId(c),
+      ...c,
+      detectedAt: now.format(),
+      ...(newTLDs.has(c.tld) ? { isPubliclyRegisterable: isTLDObjPubliclyRegisterable(newTLDs.get(c.tld)) } : {})
+    }))
+    .filter(c => !announced[c.id] && !pendingIds.has(c.id));
+  return {
+    state: {
+      ...state,
+      baseline: dataset,
+      pending: [...state.pending, ...queued.map(change => ({ change, targets }))],
+      announced
+    },
+    queued
+  };
+}
+
+/**
+ * The JSON sent to targets
+ * @param {object[]} changes Queued changes (see `queueChanges()`)
+ * @param {object} [now] dayjs()
+ * @returns {object} `{ sentAt, changes, text }`, `text` being the changes as a
+ * Markdown changelog (see `diffToMarkdown()`, chat webhooks show it as is)
+ */
+export function notificationPayload(changes, now = dayjs()) {
+  return {
+    sentAt: now.format(),
+    changes,
+    text: diffToMarkdown({ changes })
+  };
+}
+
+/**
+ * A target that POSTs the payload as JSON to a webhook URL, with the
+ * User-Agent, proxy and timeout of `configureHTTP()`. Any response but a 2xx
+ * is a failure
+ * @param {String} url
+ * @param {Function} [fetch] fetch() to use (default: node-fetch, the one in
+ * `src/utils.js` would cache and snapshot the POSTs)
+ * @returns {object} `{ name, send(payload) }`
+ */
+export function webhookTarget(url, fetch = nodeFetch) {
+  return {
+    name: url,
+    async send(payload) {
+      const http = getHTTPConfig();
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': http.userAgent },
+        body: JSON.stringify(payload),
+        timeout: http.timeoutMs,
+        agent: agentFor(url)
+      });
+      if (!resp.ok) {
+        throw new Error(`Webhook '${url}' responded with '${resp.status} ${resp.statusText}'`);
+      }
+    }
+  };
+}
+
+/**
+ * A target that runs a shell command with the payload as JSON on its stdin.
+ * Exiting with anything but 0 is a failure
+ * @param {String} command
+ * @returns {object} `{ name, send(payload) }`
+ */
+export function commandTarget(command) {
+  return {
+    name: command,
+    send: payload => new Promise((resolve, reject) => {
+      const child = spawn(command, { shell: true, stdio: ['pipe', 'inherit', 'inherit'] });
+      child.on('error', reject);
+      child.on('close', code => code === 0 ?
+        resolve() :
+        reject(new Error(`Command '${command}' exited with ${code}`)));
+      // Commands don't have to read the payload
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+    })
+  };
+}
+
+/**
+ * Sends the pending changes of the watch state to every target that hasn't
+ * had them yet, all of a target's changes in one payload (see
+ * `notificationPayload()`). Failed sends are retried, and if they still fail
+ * the changes stay pending for the next call
+ * @param {object} state From `queueChanges()`, not modified
+ * @param {object[]} targets Like from `webhookTarget()`/`commandTarget()`.
+ * Pending changes for targets that aren't given anymore are dropped
+ * @param {object} [opts]
+ * * `.retries` - How many times to retry a failed send (default: 3)
+ * * `.retryDelayMs` - Milliseconds before the first retry, tripled for every
+ *     retry after (default: 10000)
+ * * `.now` - dayjs() of the date to treat as now
+ * @returns {Promise<object>}
+ * * `.state` - The new state, changes delivered to all their targets moved
+ *     from `.pending` to `.announced`
+ * * `.delivered` - `{ target, count }` for every target sent to
+ * * `.failed` - `{ target, error }` for every target that failed
+ */
+export async function deliverPending(state, targets, { retries = 3, retryDelayMs = 10000,
+  now = dayjs() } = {}) {
+  const log = createLogger('watch');
+  const names = targets.map(t => t.name);
+  let pending = state.pending.map(p => ({ ...p, targets: p.targets.filter(name => names.includes(name)) }));
+  const delivered = [];
+  const failed = [];
+
+  for (const target of targets) {
+    const changes = pending
+      .filter(p => p.targets.includes(target.name))
+      .map(p => p.change);
+    if (!changes.length) {
+      continue;
+    }
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await target.send(notificationPayload(changes, now));
+          break;
+        }
+        catch (e) {
+          if (attempt >= retries) {
+            throw e;
+          }
+          log.info('Retrying notification', { target: target.name, attempt: attempt + 1, error: e.message });
+          await new Promise(resolve => setTimeout(resolve, retryDelayMs * Math.pow(3, attempt)));
+        }
+      }
+      pending = pending.map(p => ({ ...p, targets: p.targets.filter(name => name !== target.name) }));
+      delivered.push({ target: target.name, count: changes.length });
+      log.info(`Notified ${target.name}, changes`, { count: changes.length });
+    }
+    catch (e) {
+      log.warn(`Couldn't notify ${target.name}, trying again next round`, {
+        code: 'NOTIFY_FAILED', target: target.name, error: e.message });
+      failed.push({ target: target.name, error: e.message });
+    }
+  }
+
+  const announced = pending
+    .filter(p => !p.targets.length)
+    .map(p => ({ [p.change.id]: now.format() }))
+    .reduce((acc, o) => Object.assign(acc, o), { ...state.announced });
+  return {
+    state: { ...state, pending: pending.filter(p => p.targets.length), announced },
+    delivered,
+    failed
+  };
+}
@@ -0,0 +1,144 @@
+import punycode from 'punycode';
+
+// Classes a record can have (RFC 1035)
+const CLASSES = ['IN', 'CH', 'HS', 'CS'];
+
+// Lowercases and removes the trailing '.' of a domain name ('.' becomes '')
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\.$/, '');
+}
+
+// Splits zone file text into the tokens of each record, dealing with comments
+// and parentheses that continue a record over multiple lines. Each record is
+// `{ tokens, hasOwner }`, `hasOwner` is false if the line started with
+// whitespace (same owner as the previous record)
+function tokenizeRecords(text) {
+  const records = [];
+  let current;
+  let depth = 0;
+  text.split(/\r?\n/).forEach(line => {
+    const content = line.replace(/;.*$/, '');
+    if (depth === 0) {
+      if (!content.trim()) {
+        return;
+      }
+      current = { tokens: [], hasOwner: !/^\s/.test(content) };
+      records.push(current);
+    }
+    content
+      .replace(/([()])/g, ' $1 ')
+      .split(/\s+/)
+      .filter(t => !!t)
+      .forEach(t => {
+        if (t === '(') {
+          depth++;
+        }
+        else if (t === ')') {
+          depth--;
+        }
+        else {
+          current.tokens.push(t);
+        }
+      });
+  });
+  return records;
+}
+
+/**
+ * Parses the records out of a zone file (RFC 1035 master file format) like the
+ * root zone. Directives ($ORIGIN, $TTL, ...) are skipped as the root zone
+ * doesn't use them
+ * @param {String} text The zone file
+ * @returns {Object[]} Array with an object per record
+ * * `.name` - Owner name, lowercase without the trailing '.' ('' for the root)
+ * * `.ttl` - The TTL in seconds, if given
+ * * `.class` - The class ('IN'), if given
+ * * `.type` - The record type ('NS', 'DS', 'A', ...)
+ * * `.rdata` - Array of the rest of the tokens
+ */
+export function parseZoneFile(text) {
+  let lastName;
+  return tokenizeRecords(text)
+    .filter(({ tokens }) => !tokens[0].startsWith('$'))
+    .map(({ tokens, hasOwner }) => {
+      const rest = tokens.slice();
+      const name = hasOwner ? normalizeName(rest.shift()) : lastName;
+      lastName = name;
+      let ttl;
+      let cls;
+      // TTL and class are both optional and can come in either order
+      while (/^\d+$/.test(rest[0]) || CLASSES.includes((rest[0] || '').toUpperCase())) {
+        const token = rest.shift();
+        if (/^\d+$/.test(token)) {
+          ttl = parseInt(token, 10);
+        }
+        else {
+          cls = token.toUpperCase();
+        }
+      }
+      return {
+        name,
+        ...(ttl !== undefined ? { ttl } : {}),
+        ...(cls ? { class: cls } : {}),
+        type: (rest.shift() || '').toUpperCase(),
+        rdata: rest
+      };
+    });
+}
+
+/**
+ * Groups the records of the root zone by TLD
+ * @param {Object[]} records From `parseZoneFile()`
+ * @returns {Object[]} Array with an object per TLD, in the order they first
+ * appear in the zone
+ * * `.tld` - TLD string, punycode (xn--) decoded to unicode
+ * * `.nameservers` - Hostnames from the NS records
+ * * `.glue` - Array of `{ host, type, address }` for the A/AAAA records of
+ *     the nameservers
+ * * `.dsRecords` - Array of `{ keyTag, algorithm, digestType, digest }` from the
+ *     DS records
+ * * `.isDNSSECSigned` - If there's any DS record (a chain of trust from the root)
+ * * `.dsAlgorithms` - The unique DNSSEC algorithm numbers of the DS records
+ */
+export function summarizeRootZone(records) {
+  const tlds = new Map();
+  const addresses = new Map();
+  records.forEach(r => {
+    // TLDs are the single label names, everything else is glue
+    if (r.name && !r.name.includes('.')) {
+      if (!tlds.has(r.name)) {
+        tlds.set(r.name, { nameservers: [], dsRecords: [] });
+      }
+      const t = tlds.get(r.name);
+      if (r.type === 'NS') {
+        t.nameservers.push(normalizeName(r.rdata[0]));
+      }
+      else if (r.type === 'DS') {
+        const [keyTag, algorithm, digestType, ...digest] = r.rdata;
+        t.dsRecords.push({
+          keyTag: parseInt(keyTag, 10),
+          algorithm: parseInt(algorithm, 10),
+          digestType: parseInt(digestType, 10),
+          digest: digest.join('').toUpperCase()
+        });
+      }
+    }
+    else if (r.type === 'A' || r.type === 'AAAA') {
+      addresses.set(r.name, [...(addresses.get(r.name) || []),
+        { host: r.name, type: r.type, address: r.rdata[0] }]);
+    }
+  });
+
+  return Array.from(tlds.entries())
+    .map(([tld, { nameservers, dsRecords }]) => ({
+      tld: tld.startsWith('xn--') ? punycode.decode(tld.slice(4)) : tld,
+      nameservers: Array.from(new Set(nameservers)),
+      glue: Array.from(new Set(nameservers))
+        .map(ns => addresses.get(ns) || [])
+        .flat(),
+      dsRecords,
+      isDNSSECSigned: dsRecords.length > 0,
+      dsAlgorithms: Array.from(new Set(dsRecords.map(ds => ds.algorithm)))
+        .sort((a, b) => a - b)
+    }));
+}
@@ -1,22 +1,52 @@
 import fs from 'fs';
+import os from 'os';
+import http from 'http';
+import path from 'path';
 import { promisify } from 'util';
 import dayjs from 'dayjs';
 import test from 'ava';
 import _fetchMock from 'fetch-mock';
 import proxyquire from 'proxyquire';
+import nodeFetch from 'node-fetch';
+import { createTLDQuery } from '../src/query.js';
+import { parseDomain, isValidDomain, rdapDomainURL } from '../src/domain.js';
+import { configureSnapshot, getSnapshotTime, readSnapshotIndex } from '../src/snapshot.js';
+import { configureCache, getCacheStats } from '../src/cache.js';
+import { diffTLDData, diffToMarkdown } from '../src/diff.js';
+import { formatData, formatPeriodsTable } from '../src/formats.js';
+import { createDataServer } from '../src/server.js';
+import { createWatchState, queueChanges, deliverPending, webhookTarget, commandTarget } from '../src/watch.js';
+import { loadDataset, previousDataForReuse } from '../src/schema.js';
+import { validateDataset, validateTLDs } from '../src/validate.js';
+import { extractSpec12, classifyRestrictions } from '../src/restrictions.js';
+import { parseZoneFile, summarizeRootZone } from '../src/zone.js';
+import { createHistory, updateHistory, tldsAt, historyStateAt, tldTimeline } from '../src/history.js';
+import { estimateGA } from '../src/ga.js';
+import { runPipeline, selectSources } from '../src/pipeline.js';
+import { configureLog, createLogger } from '../src/log.js';
+import { parsePeriodDate, periodKind, parseStatusPeriodsRow } from '../src/periods.js';
+import { parsePSL, reconcilePSL, formatPSL } from '../src/psl.js';
+import { idnInfo } from '../src/idn.js';
+import { resetReport, getReport } from '../src/report.js';
+import { configureHTTP, parseRetryAfter } from '../src/http.js';
 
 const readFile = promisify(fs.readFile);
 
 const fetchMock = _fetchMock.sandbox();
+// Keeps the logs of the code under test out of the test output
+const quietLog = { stream: { write: () => {} } };
 // Stub out node-fetch with fetch-mock in utils for all tests
 const utils = proxyquire('../src/utils.js', { 'node-fetch': fetchMock });
-const { fetch } = utils;
+const { fetch, getFetchedAt, parseDuration } = utils;
 const { getTLDsFromRootZone, getTLDInfoFromIANADB, getTLDsWithStatusPeriods, 
-  gTLDInfoFromRegistryAgreement, getTLDData } =
+  gTLDInfoFromRegistryAgreement, getTLDData, getIDNTablesFromIANA, getTLDDetailsFromIANA,
+  getTLDsFromRDAPBootstrap, getGTLDsFromNewGTLDsCSV, DEFAULT_SOURCES, createPublicSuffixListSource } =
   proxyquire('../src/fetch.js', { './utils.js': utils });
 
 test.beforeEach('reset globals', (t) => {
   fetchMock.restore(); // Restore mocked endpoints
+  configureHTTP({ rateLimit: 0 }); // Mocked requests don't need to be polite
+  configureLog(quietLog);
 });
 
 test.serial('fetch - Fetch multiple times if 500 error', async (t) => {
@@ -39,6 +69,583 @@ test.serial('fetch - Fetch multiple times if 500 error', async (t) => {
 
 });
 
+test.serial('fetch - Records responses to a snapshot and replays them offline', async (t) => {
+  // arrange
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tld-data-snapshot-'));
+  fetchMock.get('end:www.example.com/snapshot', { body: 'recorded', headers: { 'x-test': 'yes' } });
+
+  // act
+  configureSnapshot({ mode: 'record', dir });
+  const recorded = await (await fetch('https://www.example.com/snapshot')).text();
+  fetchMock.restore();
+  configureSnapshot({ mode: 'replay', dir });
+  const replayResp = await fetch('https://www.example.com/snapshot');
+  const replayed = await replayResp.text();
+  const snapshotTime = getSnapshotTime();
+  configureSnapshot();
+
+  // assert
+  t.is(recorded, 'recorded');
+  t.is(replayed, 'recorded');
+  t.is(replayResp.headers.get('x-test'), 'yes');
+  t.false(fetchMock.called());
+  t.truthy(snapshotTime);
+  await t.throwsAsync(async () => {
+    configureSnapshot({ mode: 'replay', dir });
+    try {
+      await fetch('https://www.example.com/not-in-snapshot');
+    }
+    finally {
+      configureSnapshot();
+    }
+  }, { message: /not found in snapshot/ });
+});
+
+test.serial('fetch - Remembers when responses were fetched, not when they were used', async (t) => {
+  // arrange
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tld-data-snapshot-'));
+  fetchMock.get('end:www.example.com/dated', {
+    body: 'dated', headers: { 'Date': 'Mon, 01 Mar 2021 12:00:00 GMT' } });
+  fetchMock.get('end:www.example.com/undated', 'undated');
+
+  // act
+  configureSnapshot({ mode: 'record', dir });
+  await fetch('https://www.example.com/dated');
+  const dated = getFetchedAt('https://www.example.com/dated');
+  await fetch('https://www.example.com/undated');
+  const undated = getFetchedAt('https://www.example.com/undated');
+  const recordedAt = readSnapshotIndex(dir)['https://www.example.com/undated'].fetchedAt;
+  configureSnapshot({ mode: 'replay', dir });
+  await new Promise(resolve => setTimeout(resolve, 1000));
+  await fetch('https://www.example.com/undated');
+  const replayed = getFetchedAt('https://www.example.com/undated');
+  configureSnapshot({ mode: 'off' });
+
+  // assert
+  t.true(dayjs(dated).isSame(dayjs('2021-03-01T12:00:00Z')));
+  t.true(dayjs().diff(dayjs(undated), 'second') < 5);
+  t.is(replayed, recordedAt); // Not the second later it was replayed
+  t.is(getFetchedAt('https://www.example.com/never'), undefined);
+});
+
+test.serial('fetch - Caches responses and revalidates them with conditional requests', async (t) => {
+  // arrange
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tld-data-cache-'));
+  const requestHeaders = [];
+  fetchMock.get('end:www.example.com/cached', (url, opts) => {
+    requestHeaders.push(opts.headers);
+    return opts.headers['If-None-Match'] === '"v1"' ?
+      304 : { body: 'cached', headers: { etag: '"v1"' } };
+  });
+
+  // act
+  configureHTTP({ rateLimit: 0, userAgent: 'tld-data-test' });
+  configureCache({ dir, ttls: { freshSource: 60 * 60 } });
+  const r1 = await (await fetch('https://www.example.com/cached')).text();
+  const r2 = await (await fetch('https://www.example.com/cached')).text();
+  const r3 = await (await fetch('https://www.example.com/cached', { source: 'freshSource' })).text();
+  const stats = getCacheStats();
+  configureCache();
+
+  // assert
+  t.deepEqual([r1, r2, r3], ['cached', 'cached', 'cached']);
+  t.deepEqual(requestHeaders, [
+    { 'User-Agent': 'tld-data-test' },
+    { 'User-Agent': 'tld-data-test', 'If-None-Match': '"v1"' }
+  ]); // Only 2 requests, 3rd was fresh
+  t.deepEqual(stats, { hits: 1, revalidated: 1, misses: 1 });
+});
+
+test.serial('fetch - Waits out 429s with Retry-After and rate limits every host', async (t) => {
+  // arrange
+  configureHTTP({ rateLimit: 10, retryDelayMs: 0 });
+  let tooManyRequests = 1;
+  fetchMock.get('end:www.example.com/limited', () => tooManyRequests-- > 0 ?
+    { status: 429, headers: { 'Retry-After': '1' } } : 'ok');
+  fetchMock.get('end:www.example.com/blocked', { status: 429, headers: { 'Retry-After': '3600' } });
+  fetchMock.get('end:www.example.org/other', 'other');
+
+  // act
+  const limitedStart = Date.now();
+  const limited = await (await fetch('https://www.example.com/limited')).text();
+  const limitedMs = Date.now() - limitedStart;
+  const blocked = await fetch('https://www.example.com/blocked');
+  const otherStart = Date.now();
+  await Promise.all([1, 2, 3].map(() => fetch('https://www.example.org/other')));
+  const otherMs = Date.now() - otherStart;
+
+  // assert
+  t.is(limited, 'ok');
+  t.true(limitedMs >= 1000);
+  t.is(blocked.status, 429); // Not retried, waiting an hour is too long
+  t.is(fetchMock.calls('end:www.example.com/blocked').length, 1);
+  t.true(otherMs >= 200); // 10 per second, so at 0, 100 and 200ms
+  t.is(parseRetryAfter('120'), 120 * 1000);
+  t.is(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT', Date.parse('Wed, 21 Oct 2015 07:27:00 GMT')), 60 * 1000);
+  t.is(parseRetryAfter('soon'), undefined);
+  t.throws(() => configureHTTP({ concurrency: 0 }), { message: /'concurrency' must be a whole number/ });
+  t.throws(() => configureHTTP({ rateLimits: { 'www.icann.org': -1 } }), { message: /Rate limit of 'www.icann.org'/ });
+  t.throws(() => configureHTTP({ timeout: 10 }), { message: /Unknown HTTP option 'timeout'/ });
+});
+
+test.serial('fetch - Waits out a Retry-After once, ahead of requests queued meanwhile', async (t) => {
+  // arrange
+  configureHTTP({ rateLimit: 2 });
+  let tooManyRequests = 1;
+  fetchMock.get('end:www.example.com/limited', () => tooManyRequests-- > 0 ?
+    { status: 429, headers: { 'Retry-After': '1' } } : 'ok');
+  fetchMock.get('end:www.example.com/other', 'other');
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // act
+  const start = Date.now();
+  const others = [1, 2, 3].map(async () => {
+    await sleep(100);
+    await fetch('https://www.example.com/other');
+    return Date.now() - start;
+  });
+  await fetch('https://www.example.com/limited');
+  const limitedMs = Date.now() - start;
+  const otherMs = await Promise.all(others);
+
+  // assert
+  // The retry at 1000ms, then the others 500ms apart
+  t.true(limitedMs >= 950 && limitedMs < 1400);
+  t.true(otherMs.every(ms => ms >= 1400));
+});
+
+test.serial('fetch - Spaces out requests queued behind a slow one by the rate limit', async (t) => {
+  // arrange
+  configureHTTP({ rateLimit: 2, concurrency: 1 });
+  const startedAt = [];
+  fetchMock.get('end:www.example.com/slow', () => {
+    startedAt.push(Date.now());
+    return startedAt.length === 1 ?
+      new Promise(resolve => setTimeout(() => resolve('slow'), 1000)) :
+      'fast';
+  });
+
+  // act
+  await Promise.all([1, 2, 3].map(() => fetch('https://www.example.com/slow')));
+
+  // assert
+  // At 0, once the slow one finishes at 1000 and 500ms after that
+  t.is(startedAt.length, 3);
+  t.true(startedAt[1] - startedAt[0] >= 950);
+  t.true(startedAt[2] - startedAt[1] >= 450);
+});
+
+// Mocks every source getTLDData() uses, with a root zone that matches the
+// IANA DB fixture (3 gTLDs and .jp) and every registry agreement/IANA detail
+// page using the dummytld1 fixtures
+async function mockGetTLDDataSources() {
+  fetchMock.get('end:www.internic.net/domain/root.zone',
+    await readFile('test/fetchDummy/internic.net_domain_root.zone_getTLDData.txt', 'utf-8'));
+  fetchMock.get('end:www.iana.org/domains/root/db',
+    await readFile('test/fetchDummy/iana.org_domains_root_db_getTLDData.html', 'utf-8'));
+  fetchMock.get('end:www.iana.org/domains/idn-tables',
+    await readFile('test/fetchDummy/iana.org_domains_idn-tables.html', 'utf-8'));
+  fetchMock.get('end:data.iana.org/rdap/dns.json',
+    await readFile('test/fetchDummy/data.iana.org_rdap_dns.json', 'utf-8'));
+  fetchMock.get('begin:https://www.iana.org/domains/root/db/',
+    await readFile('test/fetchDummy/iana.org_domains_root_db_dummytld1.html', 'utf-8'));
+  fetchMock.get('begin:https://www.icann.org/en/about/agreements/registries/',
+    await readFile('test/fetchDummy/icann.org_en_about_agreements_registries_dummytld1.html', 'utf-8'));
+  fetchMock.get('end:www.example.com/agreement/dummytld1',
+    await readFile('test/fetchDummy/icann.org_agreement_dummytld1.html', 'utf-8'));
+  fetchMock.get('end:newgtlds.icann.org/program-status/sunrise-claims-periods.xls',
+    await readFile('test/fetchDummy/newgtlds.icann.org_program-status_sunrise-claims-periods.xls', 'utf-8'));
+  fetchMock.get('end:www.icann.org/resources/registries/gtlds/v1/newgtlds.csv',
+    await readFile('test/fetchDummy/icann.org_resources_registries_gtlds_v1_newgtlds.csv', 'utf-8'));
+}
+
+test.serial('getTLDData - Reuses previous registry agreement fields one at a time', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+  // An agreement with restrictions that can be classified
+  const agreement = (await readFile('test/fetchDummy/icann.org_agreement_dummytld2.html', 'utf-8'))
+    .replace('SPECIFICATION\n12', 'SPECIFICATION 12');
+  fetchMock.get('end:www.example.com/agreement/dummytld1', agreement, { overwriteRoutes: true });
+  const prevData = {
+    aaa: { isBrand: true },
+    // The agreement is fetched for isBrand anyway, filling in the restrictions
+    aarp: { hasRestrictions: true },
+    // Unclassified restrictions don't get the agreement fetched every run
+    'موقع': { isBrand: false, hasRestrictions: true }
+  };
+
+  // act
+  const r = await getTLDData(prevData, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  const [aaa, aarp, , mawqi] = r;
+  t.is(aaa.isBrand, true);
+  t.like(aaa.sources.isBrand, { source: 'previousData', method: 'previous' });
+  t.like(aaa.sources.hasRestrictions, { source: 'registryAgreement', method: 'scraped' });
+  t.like(aarp.sources.isBrand, { source: 'registryAgreement', method: 'scraped' });
+  t.like(aarp.sources.hasRestrictions, { source: 'previousData', method: 'previous' });
+  t.like(aarp.restrictions, { types: ['community', 'professionalCredential', 'localPresence'] });
+  t.like(aarp.sources.restrictions, { source: 'registryAgreement', method: 'scraped' });
+  t.like(mawqi, { tld: 'موقع', isBrand: false, hasRestrictions: true, restrictions: undefined });
+  t.is(fetchMock.calls('end:www.icann.org/en/about/agreements/registries/xn--4gbrim').length, 0);
+  t.is(fetchMock.calls('end:www.icann.org/en/about/agreements/registries/aarp').length, 1);
+});
+
+test.serial('getTLDData - Reuses previous IANA detail fields instead of fetching the page', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+  const prevData = {
+    aaa: { whoisServer: 'whois.old', recordLastUpdated: '2019-01-01', rdapBaseUrls: ['https://rdap.old/'] },
+    // Not every page has a WHOIS server, but they all have a last updated date
+    aarp: { whoisServer: 'whois.old' },
+    jp: { recordLastUpdated: '2019-01-01', rdapBaseUrls: ['https://rdap.old/'] }
+  };
+
+  // act
+  const [aaa, aarp, jp] = await getTLDData(prevData, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.like(aaa, { whoisServer: 'whois.old', recordLastUpdated: '2019-01-01', administrativeContactOrg: undefined });
+  t.like(aaa.sources.whoisServer, { source: 'previousData', method: 'previous' });
+  t.deepEqual(aaa.rdapBaseUrls, ['https://rdap.nic.aaa/', 'http://rdap.nic.aaa/']); // The bootstrap still wins
+  t.like(aarp, { whoisServer: 'whois.nic.dummytld1', recordLastUpdated: '2020-11-18' });
+  t.deepEqual(jp.rdapBaseUrls, ['https://rdap.old/']);
+  t.is(fetchMock.calls('end:www.iana.org/domains/root/db/aaa.html').length, 0);
+  t.is(fetchMock.calls('end:www.iana.org/domains/root/db/jp.html').length, 0);
+  t.is(fetchMock.calls('end:www.iana.org/domains/root/db/aarp.html').length, 1);
+});
+
+test.serial('getTLDData - Keeps when reused fields were fetched so they expire across runs', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+  const day = 24 * 60 * 60;
+  const run = async (prevDataset, generated) => {
+    const prevData = prevDataset &&
+      previousDataForReuse(prevDataset, { isBrand: 30 * day }, dayjs(generated));
+    const data = await getTLDData(prevData, { thresholds: { minTLDs: 0 } });
+    return { schemaVersion: 2, generated, data };
+  };
+
+  // act
+  const first = await run(undefined, '2021-01-01T00:00:00Z');
+  const second = await run(first, '2021-01-02T00:00:00Z');
+  const third = await run(second, '2021-01-20T00:00:00Z');
+  const reusedBefore = previousDataForReuse(third, { isBrand: 30 * day }, dayjs('2021-01-30T00:00:00Z'));
+  const reusedAfter = previousDataForReuse(third, { isBrand: 30 * day }, dayjs('2021-02-01T00:00:00Z'));
+
+  // assert
+  t.is(first.data[0].fetchedAt, undefined); // Nothing carried over
+  t.deepEqual(second.data[0].fetchedAt, { isBrand: '2021-01-01T00:00:00Z' });
+  t.deepEqual(third.data[0].fetchedAt, { isBrand: '2021-01-01T00:00:00Z' });
+  t.is(third.data[0].sources, undefined);
+  t.is(reusedBefore.aaa.isBrand, true);
+  // 31 days after it was fetched, even though `third` was generated 12 days before
+  t.is(reusedAfter.aaa.isBrand, undefined);
+});
+
+test.serial('getTLDData - Records where every field came from with provenance', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+  const prevData = { aarp: { isBrand: false, hasRestrictions: true, restrictions: { types: ['community'] } } };
+
+  // act
+  const r = await getTLDData(prevData, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.deepEqual(r.map(o => o.tld), ['aaa', 'aarp', 'jp', 'موقع']);
+  const aaa = r[0].sources;
+  t.like(aaa.tld, { source: 'rootZone', method: 'scraped', url: 'http://www.internic.net/domain/root.zone' });
+  t.like(aaa.type, { source: 'ianaDB', method: 'scraped', url: 'https://www.iana.org/domains/root/db' });
+  t.like(aaa.isBrand, { source: 'registryAgreement', method: 'scraped', url: 'https://www.icann.org/en/about/agreements/registries/aaa' });
+  t.like(aaa.hasRestrictions, { source: 'registryAgreement', method: 'scraped', url: 'www.example.com/agreement/dummytld1' });
+  t.is(aaa.restrictions, undefined); // Nothing to classify in the dummy agreement
+  t.truthy(aaa.tld.fetchedAt);
+  t.like(r[1], { isBrand: false, hasRestrictions: true, restrictions: { types: ['community'] } });
+  t.deepEqual(r[1].sources.isBrand, { source: 'previousData', method: 'previous' });
+  t.deepEqual(r[1].sources.restrictions, { source: 'previousData', method: 'previous' });
+  t.like(r[3].sources.isBrand, { url: 'https://www.icann.org/en/about/agreements/registries/xn--4gbrim' });
+  t.is((await getTLDData(undefined, { thresholds: { minTLDs: 0 } })).find(o => o.sources), undefined);
+});
+
+test.serial('getTLDData - Adds curated ccTLD policies and the scripts of IANA\'s IDN tables', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const [aaa, aarp, jp, arabic] = await getTLDData(undefined, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.like(jp, { localPresence: 'required', registersAtSecondLevel: true, idnScripts: ['Japanese'] });
+  t.deepEqual(jp.secondLevelDomains, ['co.jp', 'or.jp', 'ne.jp', 'gr.jp']);
+  t.deepEqual(jp.sources.localPresence, { source: 'ccTLDPolicies', method: 'manual' });
+  t.deepEqual(arabic.idnScripts, ['Arabic', 'Persian']);
+  t.like(arabic.sources.idnScripts, { source: 'idnTables', method: 'scraped', url: 'https://www.iana.org/domains/idn-tables' });
+  t.is(aaa.localPresence, undefined);
+});
+
+test.serial('getTLDData - Adds the registry, WHOIS/RDAP servers and dates from IANA detail pages', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const [aaa, aarp, jp] = await getTLDData(undefined, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.like(jp, {
+    administrativeContactOrg: 'Dummy Registry Services LLC',
+    technicalContactOrg: 'Dummy Backend Provider',
+    whoisServer: 'whois.nic.dummytld1',
+    registrationDate: '2015-08-13',
+    recordLastUpdated: '2020-11-18'
+  });
+  t.like(jp.sources.whoisServer, { source: 'ianaDetail', method: 'scraped', url: 'https://www.iana.org/domains/root/db/jp.html' });
+  // Only for TLDs the RDAP bootstrap doesn't list
+  t.deepEqual(jp.rdapBaseUrls, ['https://rdap.nic.dummytld1/']);
+  t.like(jp.sources.rdapBaseUrls, { source: 'ianaDetail', method: 'scraped' });
+  t.deepEqual(aaa.rdapBaseUrls, ['https://rdap.nic.aaa/', 'http://rdap.nic.aaa/']);
+  t.like(aaa.sources.rdapBaseUrls, { source: 'rdapBootstrap', method: 'scraped' });
+});
+
+test.serial('getTLDData - Adds the RDAP base URLs from IANA\'s bootstrap file', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const [aaa] = await getTLDData(undefined, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.deepEqual(aaa.rdapBaseUrls, ['https://rdap.nic.aaa/', 'http://rdap.nic.aaa/']);
+  t.like(aaa.sources.rdapBaseUrls, { source: 'rdapBootstrap', method: 'scraped', url: 'https://data.iana.org/rdap/dns.json' });
+});
+
+test.serial('getTLDData - Adds the nameservers and DNSSEC records from the root zone', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const [aaa, aarp] = await getTLDData(undefined, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.like(aaa, { isDNSSECSigned: true, dsAlgorithms: [8], nameservers: ['ns1.dns.nic.aaa', 'ns2.dns.nic.aaa'] });
+  t.like(aarp, { isDNSSECSigned: false, dsAlgorithms: [] });
+  t.like(aaa.sources.dsRecords, { source: 'rootZone', method: 'scraped' });
+});
+
+test.serial('getTLDData - Estimates General Availability from the status periods and delegation dates', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const [aaa, aarp] = await getTLDData(undefined, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.like(aaa, { gaDate: '2015-08-13', gaConfidence: 'low', isNotInGeneralAvailability: false });
+  t.like(aaa.sources.gaDate, { source: 'newGTLDs', method: 'scraped', url: 'https://www.icann.org/resources/registries/gtlds/v1/newgtlds.csv' });
+  t.is(aarp.gaDate, undefined);
+  t.like(aarp.sources.isNotInGeneralAvailability, { source: 'statusPeriods', method: 'assumed' });
+});
+
+test.serial('getTLDData - Adds the ASCII form, scripts and direction of every TLD', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const [aaa, aarp, jp, arabic] = await getTLDData(undefined, { provenance: true, thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.like(jp, { tldAscii: 'jp', isIDN: false, tldScripts: ['Latin'], tldDirection: 'ltr' });
+  t.like(arabic, { tldAscii: 'xn--4gbrim', isIDN: true, tldScripts: ['Arabic'], tldDirection: 'rtl' });
+  t.deepEqual(arabic.sources.tldAscii, { source: 'idn', method: 'derived' });
+});
+
+test.serial('getTLDData - Throws instead of returning data that fails validation', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act + assert
+  await t.throwsAsync(() => getTLDData(), { message: /failed validation with 1 errors/ });
+  const previous = [{ tld: 'aaa', type: 'generic' }, { tld: 'com', type: 'generic' }];
+  await t.throwsAsync(() => getTLDData(undefined, { previous, thresholds: { minTLDs: 0 } }),
+    { message: /failed validation with 1 errors/ });
+});
+
+test.serial('getTLDData - Runs a subset of the sources plus plugins, validating their fields', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+  const pricing = price => ({
+    name: 'pricing',
+    fields: ['price'],
+    schema: { price: { type: 'number' } },
+    dependsOn: ['ianaDB'],
+    enrich: async ctx => ctx.tlds
+      .filter(o => o.type === 'generic')
+      .map(o => ({ tld: o.tld, values: { price }, provenance: ctx.provenance('manual') }))
+  });
+  const sources = selectSources(DEFAULT_SOURCES, { only: ['rdapBootstrap'] });
+
+  // act
+  const r = await getTLDData(undefined, { sources: [...sources, pricing(9.99)], provenance: true,
+    thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.deepEqual(sources.map(s => s.name), ['rootZone', 'ianaDB', 'rdapBootstrap']);
+  t.like(r[0], { tld: 'aaa', type: 'generic', price: 9.99, rdapBaseUrls: ['https://rdap.nic.aaa/', 'http://rdap.nic.aaa/'] });
+  t.is(r[0].isBrand, undefined);
+  t.deepEqual(r[0].sources.price, { source: 'pricing', method: 'manual' });
+  t.is(r[2].price, undefined);
+  await t.throwsAsync(() => getTLDData(undefined, { sources: [...sources, pricing('cheap')],
+    thresholds: { minTLDs: 0 } }), { message: /failed validation with 3 errors/ });
+});
+
+test.serial('getTLDData - Reports source durations, requests, warnings and anomalies', async (t) => {
+  // arrange
+  const rdap = JSON.parse(await readFile('test/fetchDummy/data.iana.org_rdap_dns.json', 'utf-8'));
+  rdap.services.push([['dummytld3'], ['https://rdap.nic.dummytld3/']]);
+  await mockGetTLDDataSources();
+  fetchMock.get('end:data.iana.org/rdap/dns.json', rdap, { overwriteRoutes: true });
+  const lines = [];
+  configureLog({ level: 'warn', format: 'json', stream: { write: line => lines.push(line) } });
+  resetReport();
+
+  // act
+  try {
+    await getTLDData(undefined, { thresholds: { minTLDs: 0 } });
+  }
+  finally {
+    configureLog(quietLog);
+  }
+  const report = getReport({ ok: true });
+
+  // assert
+  t.true(report.ok);
+  t.deepEqual(report.sources.map(s => s.name), DEFAULT_SOURCES.map(s => s.name));
+  t.like(report.sources[0], { contributions: 4, tlds: 4 });
+  t.like(report.requests, { cached: 0, retries: 0, failed: 0 });
+  t.is(report.requests.bySource.rootZone.requests, 1);
+  t.is(report.requests.total, Object.values(report.requests.bySource).reduce((acc, c) => acc + c.requests, 0));
+  t.is(report.anomalies.filter(a => a.kind === 'conflict').length, 0); // sponsor is only from the IANA DB
+  const warning = report.warnings.find(w => w.code === 'RDAP_NOT_IN_ROOT_ZONE');
+  t.like(warning, { level: 'warn', source: 'rdapBootstrap', tlds: ['dummytld3'] });
+  t.deepEqual(lines.map(l => JSON.parse(l)), report.warnings);
+});
+
+test.serial('createLogger - Logs levels as text or JSON and records warnings in the report', (t) => {
+  // arrange
+  const lines = [];
+  const stream = { write: line => lines.push(line) };
+  resetReport();
+
+  // act
+  configureLog({ level: 'info', format: 'text', stream });
+  const log = createLogger('dummy');
+  log.debug('Hidden');
+  log.info('Found TLDs', { count: 2 });
+  log.info('TLDs', { tlds: ['aaa', 'jp'] });
+  configureLog({ level: 'debug', format: 'json', stream });
+  log.debug('Shown', { tld: 'aaa' });
+  log.warn('Something is odd', { code: 'ODD', tlds: ['aaa'] });
+  configureLog(quietLog);
+
+  // assert
+  const stripped = lines.map(l => l.replace(/\u001b\[[0-9;]*m/g, ''));
+  t.deepEqual(stripped.slice(0, 2), ['* Found TLDs: 2\n', '* TLDs: aaa, jp\n']);
+  t.like(JSON.parse(lines[2]), { level: 'debug', source: 'dummy', msg: 'Shown', tld: 'aaa' });
+  t.like(JSON.parse(lines[3]), { level: 'warn', code: 'ODD', tlds: ['aaa'] });
+  t.is(getReport().warnings.length, 1);
+  t.like(getReport().warnings[0], { level: 'warn', source: 'dummy', msg: 'Something is odd', code: 'ODD' });
+  t.throws(() => configureLog({ level: 'loud' }), { message: /Unknown log level/ });
+});
+
+test.serial('getTLDData - Falls back to the previous data for TLDs a source fails for', async (t) => {
+  // arrange
+  fetchMock.get('end:www.icann.org/en/about/agreements/registries/aaa', '<html><body>Moved</body></html>');
+  await mockGetTLDDataSources();
+  const previous = [
+    { tld: 'aaa', type: 'generic', isBrand: true, hasRestrictions: false,
+      sources: { isBrand: { source: 'registryAgreement', method: 'scraped', fetchedAt: '2021-01-01T00:00:00Z' } } },
+    { tld: 'aarp', type: 'generic' }
+  ];
+  resetReport();
+
+  // act
+  const r = await getTLDData(undefined, { previous, provenance: true, thresholds: { minTLDs: 0, maxChangePercent: 100 } });
+  const strictError = await t.throwsAsync(() => getTLDData(undefined, { previous, strict: true,
+    thresholds: { minTLDs: 0, maxChangePercent: 100 } }));
+  const { failures } = getReport();
+
+  // assert
+  t.like(r[0], { tld: 'aaa', stale: true, isBrand: true, hasRestrictions: false });
+  t.deepEqual(r[0].sources.isBrand, { source: 'previousData', method: 'previous', fetchedAt: '2021-01-01T00:00:00Z' });
+  t.is(r[0].restrictions, undefined);
+  t.like(r[0], { type: 'generic', whoisServer: 'whois.nic.dummytld1' }); // Other sources still ran
+  t.is(r[1].stale, undefined);
+  t.is(failures.length, 1);
+  t.like(failures[0], { tld: 'aaa', source: 'registryAgreement', fallbackFields: ['isBrand', 'hasRestrictions'] });
+  t.regex(failures[0].error, /AGREEMENT-HTML/);
+  t.regex(strictError.message, /AGREEMENT-HTML/);
+});
+
+test.serial('getTLDData - Checks the Public Suffix List against the root zone', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+  const sources = [...selectSources(DEFAULT_SOURCES, { only: [] }),
+    createPublicSuffixListSource('test/fetchDummy/publicsuffix.org_list_public_suffix_list.dat')];
+  resetReport();
+
+  // act
+  const r = await getTLDData(undefined, { sources, provenance: true, thresholds: { minTLDs: 0 } });
+  const { warnings } = getReport();
+
+  // assert
+  t.deepEqual(r.map(o => [o.tld, o.inPublicSuffixList]), [['aaa', true], ['aarp', false], ['jp', true], ['موقع', true]]);
+  t.like(r[0].sources.inPublicSuffixList, { source: 'publicSuffixList', method: 'scraped', url: 'test/fetchDummy/publicsuffix.org_list_public_suffix_list.dat' });
+  t.like(warnings.find(w => w.code === 'PSL_MISSING_TLDS'), { source: 'publicSuffixList', tlds: ['aarp'] });
+  t.like(warnings.find(w => w.code === 'PSL_NOT_DELEGATED'), { source: 'publicSuffixList', tlds: ['ck'] });
+});
+
+test('runPipeline - Orders sources by dependencies, merges their fields and reports conflicts', async (t) => {
+  // arrange
+  const source = (name, opts, contributions) => Object.assign({
+    name,
+    enrich: async ctx => contributions(ctx).map(([tld, values]) =>
+      ({ tld, values, provenance: ctx.provenance('manual') }))
+  }, opts);
+  const sources = [
+    source('sponsors', { fields: ['sponsor'], dependsOn: ['types'] },
+      ctx => ctx.tlds.map(o => [o.tld, { sponsor: o.type === 'generic' ? 'Registry' : undefined }])),
+    source('types', { fields: ['type', 'sponsor'], dependsOn: ['tlds'] },
+      () => [['aaa', { type: 'generic', sponsor: 'AAA' }], ['jp', { type: 'country-code' }], ['zzz', { type: 'generic' }]]),
+    source('tlds', { fields: ['tld'], definesTLDs: true, required: true },
+      () => [['aaa', { tld: 'aaa' }], ['jp', { tld: 'jp' }]])
+  ];
+  const bad = source('bad', { fields: ['type'] }, () => [['aaa', { price: 1 }]]);
+
+  // act
+  const r = await runPipeline(sources);
+
+  // assert
+  t.deepEqual(r.tlds, [
+    { tld: 'aaa', type: 'generic', sponsor: 'Registry' },
+    { tld: 'jp', type: 'country-code' }
+  ]);
+  t.deepEqual(r.sources.aaa.sponsor, { source: 'sponsors', method: 'manual' });
+  t.deepEqual(r.conflicts, [{ tld: 'aaa', field: 'sponsor', source: 'sponsors', value: 'Registry',
+    overriddenSource: 'types', overriddenValue: 'AAA' }]);
+  await t.throwsAsync(() => runPipeline([sources[2], bad]), { message: /contributed 'price'/ });
+  await t.throwsAsync(() => runPipeline([sources[0]]), { message: /depends on 'types'/ });
+  t.deepEqual(selectSources(sources, { only: ['types'] }).map(s => s.name), ['types', 'tlds']);
+  t.throws(() => selectSources(sources, { skip: ['types'] }), { message: /'sponsors' depends on it/ });
+  t.throws(() => selectSources(sources, { skip: ['tlds'] }), { message: /is required/ });
+});
+
+test('parseDuration - Parses durations into seconds', (t) => {
+  t.is(parseDuration('90'), 90);
+  t.is(parseDuration('30s'), 30);
+  t.is(parseDuration('12h'), 12 * 60 * 60);
+  t.is(parseDuration('7d'), 7 * 24 * 60 * 60);
+  t.throws(() => parseDuration('soon'));
+});
+
 test.serial('getTLDsFromRootZone - Finds only TLDs', async (t) => {
   // arrange
   fetchMock.get('end:www.internic.net/domain/root.zone',
@@ -63,6 +670,63 @@ test.serial('getTLDsFromRootZone - Properly decodes punycode TLDs', async (t) =>
   t.deepEqual(r, ['com', '한국']);
 });
 
+test('parseZoneFile - Parses records, handling comments, parentheses and omitted fields', (t) => {
+  // arrange
+  const zone = [
+    '$TTL 86400',
+    '.\t86400\tIN\tSOA\ta.root-servers.net. nstld.verisign-grs.com. (',
+    '    2021042000 ; serial',
+    '    1800 900 604800 86400 )',
+    'COM.   172800  IN  NS  A.GTLD-SERVERS.NET.',
+    '       IN 172800  NS  b.gtld-servers.net. ; same owner',
+    'com. DS 30909 8 2 E2D3C916F6DEEAC73294E8268FB5885044A833FC5459588F4A9184CFC41A5766',
+    '',
+    'a.gtld-servers.net.  172800  IN  A 192.5.6.30'
+  ].join('\n');
+
+  // act
+  const r = parseZoneFile(zone);
+
+  // assert
+  t.deepEqual(r, [
+    { name: '', ttl: 86400, class: 'IN', type: 'SOA', rdata: ['a.root-servers.net.', 'nstld.verisign-grs.com.', '2021042000', '1800', '900', '604800', '86400'] },
+    { name: 'com', ttl: 172800, class: 'IN', type: 'NS', rdata: ['A.GTLD-SERVERS.NET.'] },
+    { name: 'com', ttl: 172800, class: 'IN', type: 'NS', rdata: ['b.gtld-servers.net.'] },
+    { name: 'com', type: 'DS', rdata: ['30909', '8', '2', 'E2D3C916F6DEEAC73294E8268FB5885044A833FC5459588F4A9184CFC41A5766'] },
+    { name: 'a.gtld-servers.net', ttl: 172800, class: 'IN', type: 'A', rdata: ['192.5.6.30'] }
+  ]);
+});
+
+test('summarizeRootZone - Groups nameservers, glue and DS records by TLD', async (t) => {
+  // arrange
+  const zone = await readFile('test/fetchDummy/internic.net_domain_root.zone_getTLDData.txt', 'utf-8');
+
+  // act
+  const r = summarizeRootZone(parseZoneFile(zone));
+
+  // assert
+  t.deepEqual(r.map(o => o.tld), ['aaa', 'aarp', 'jp', 'موقع']);
+  t.deepEqual(r[0], {
+    tld: 'aaa',
+    nameservers: ['ns1.dns.nic.aaa', 'ns2.dns.nic.aaa'],
+    glue: [
+      { host: 'ns1.dns.nic.aaa', type: 'A', address: '156.154.144.2' },
+      { host: 'ns1.dns.nic.aaa', type: 'AAAA', address: '2610:a1:1071:0:0:0:0:2' }
+    ],
+    dsRecords: [{ keyTag: 1657, algorithm: 8, digestType: 2, digest: '9D6BAE62219231C99FB3C2E6F2F4CB3CA3A2A3B4E3E0A57CB3B4F85A0B15F2A1' }],
+    isDNSSECSigned: true,
+    dsAlgorithms: [8]
+  });
+  t.deepEqual(r[1], {
+    tld: 'aarp',
+    nameservers: ['a.nic.aarp', 'b.nic.aarp'],
+    glue: [],
+    dsRecords: [],
+    isDNSSECSigned: false,
+    dsAlgorithms: []
+  });
+});
+
 test.serial('getTLDInfoFromIANADB - Parses TLDs out of the IANA table, handling unicode too', async (t) => {
   // arrange
   fetchMock.get('end:www.iana.org/domains/root/db',
@@ -87,6 +751,68 @@ test.serial('getTLDInfoFromIANADB - Parses TLDs out of the IANA table, handling
   }]);
 });
 
+test.serial('getTLDsFromRDAPBootstrap - Lists the RDAP servers of every TLD in the bootstrap', async (t) => {
+  // arrange
+  fetchMock.get('end:data.iana.org/rdap/dns.json',
+    await readFile('test/fetchDummy/data.iana.org_rdap_dns.json', 'utf-8'));
+
+  // act
+  const r = await getTLDsFromRDAPBootstrap();
+
+  // assert
+  t.deepEqual(r, [
+    { tld: 'aaa', rdapBaseUrls: ['https://rdap.nic.aaa/', 'http://rdap.nic.aaa/'] },
+    { tld: 'aarp', rdapBaseUrls: ['https://rdap.nic.aaa/', 'http://rdap.nic.aaa/'] },
+    { tld: 'موقع', rdapBaseUrls: ['https://rdap.nic.xn--4gbrim/'] }
+  ]);
+});
+
+test.serial('getTLDDetailsFromIANA - Parses the contacts, registry info and dates off the detail page', async (t) => {
+  // arrange
+  fetchMock.get('end:www.iana.org/domains/root/db/dummytld1.html',
+    await readFile('test/fetchDummy/iana.org_domains_root_db_dummytld1.html', 'utf-8'));
+  fetchMock.get('end:www.iana.org/domains/root/db/dummytld2.html',
+    '<h2>TLD Manager</h2><p><b>Other Registry</b></p><h2>Administrative Contact</h2><p><b>Email:</b> a@example.com</p>' +
+    '<h2>Registry Information</h2><p><b>WHOIS Server:</b></p><p><i>Record last updated 2021-01-02.</i></p>');
+
+  // act
+  const r = await getTLDDetailsFromIANA('dummytld1');
+  const r2 = await getTLDDetailsFromIANA('dummytld2');
+
+  // assert
+  t.deepEqual(r, {
+    sponsor: 'Dummy Registry, Inc.',
+    administrativeContactOrg: 'Dummy Registry Services LLC',
+    technicalContactOrg: 'Dummy Backend Provider',
+    whoisServer: 'whois.nic.dummytld1',
+    rdapBaseUrl: 'https://rdap.nic.dummytld1/',
+    registrationDate: '2015-08-13',
+    recordLastUpdated: '2020-11-18',
+    pageURL: 'https://www.iana.org/domains/root/db/dummytld1.html'
+  });
+  t.deepEqual(r2, {
+    sponsor: 'Other Registry',
+    recordLastUpdated: '2021-01-02',
+    pageURL: 'https://www.iana.org/domains/root/db/dummytld2.html'
+  });
+});
+
+test.serial('getIDNTablesFromIANA - Groups the scripts of every table by TLD', async (t) => {
+  // arrange
+  fetchMock.get('end:www.iana.org/domains/idn-tables',
+    await readFile('test/fetchDummy/iana.org_domains_idn-tables.html', 'utf-8'));
+
+  // act
+  const r = await getIDNTablesFromIANA();
+
+  // assert
+  t.deepEqual(r, [
+    { tld: 'aaa', scripts: ['Latin'] },
+    { tld: 'jp', scripts: ['Japanese'] },
+    { tld: 'موقع', scripts: ['Arabic', 'Persian'] }
+  ]);
+});
+
 test.serial('gTLDInfoFromRegistryAgreement - Parses certain specifications from TLD registry agreements', async (t) => {
   // arrange
   fetchMock.get('end:www.icann.org/en/about/agreements/registries/dummytld1',
@@ -101,10 +827,37 @@ test.serial('gTLDInfoFromRegistryAgreement - Parses certain specifications from
   t.deepEqual(r, {
     hasSpec13: true,
     hasSpec9Exemption: true,
-    hasSpec12: true
+    hasSpec12: true,
+    pageURL: 'https://www.icann.org/en/about/agreements/registries/dummytld1',
+    agreementURL: 'www.example.com/agreement/dummytld1'
   });
 });
 
+test('extractSpec12 - Finds the Specification 12 section and classifies its restrictions', async (t) => {
+  // arrange
+  const html = await readFile('test/fetchDummy/icann.org_agreement_dummytld2.html', 'utf-8');
+
+  // act
+  const spec12 = extractSpec12(html);
+  const r = classifyRestrictions(spec12);
+  const geo = classifyRestrictions('Registrants must demonstrate a bona fide nexus with the City of Berlin. Names are only available to residents of Berlin.');
+
+  // assert
+  t.true(spec12.startsWith('Registry Operator shall implement the following registration policies.'));
+  t.true(spec12.endsWith('is verified before the name is activated.'));
+  t.deepEqual(r, {
+    types: ['community', 'professionalCredential', 'localPresence'],
+    eligibility: 'Registration of domain names in the TLD is restricted to verified members of the global banking community, which are state, regional and savings banks chartered or licensed by the appropriate bank regulatory authorities; associations whose members are comprised primarily of such banks; and government agencies.'
+  });
+  t.deepEqual(geo, {
+    types: ['geographicNexus', 'localPresence'],
+    eligibility: 'Names are only available to residents of Berlin.'
+  });
+  t.is(classifyRestrictions('See the acceptable use policy.'), undefined);
+  t.is(classifyRestrictions(''), undefined);
+  t.is(extractSpec12('<p>Specification 12 is not part of this agreement</p>'), undefined);
+});
+
 test.serial('getTLDsWithStatusPeriods - Parses period info out of table, handling spec 13, multiple periods in other, etc', async (t) => {
   // arrange
   fetchMock.get('end:newgtlds.icann.org/program-status/sunrise-claims-periods.xls',
@@ -117,95 +870,749 @@ test.serial('getTLDsWithStatusPeriods - Parses period info out of table, handlin
   t.deepEqual(r, [{
     tld: 'forum',
     spec13: false,
+    lastUpdated: '2021-01-06',
     periods: [{
       name: 'Sunrise',
       open: dayjs('16 Nov 2020', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('16 Dec 2020', 'D MMM YYYY', true).format('YYYY-MM-DD'),
+      kind: 'sunrise'
     }, {
       name: 'Trademark Claims',
       open: dayjs('2 Mar 2021', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('31 May 2021', 'D MMM YYYY', true).format('YYYY-MM-DD'),
+      kind: 'trademarkClaims'
     }, {
       name: 'Sunrise 2',
       open: dayjs('11 Jan 2021', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('28 Feb 2021', 'D MMM YYYY', true).format('YYYY-MM-DD'),
-      type: 'Limited Registration Period'
+      type: 'Limited Registration Period',
+      kind: 'limitedRegistration'
     }],
     isNotGenerallyAvailable: dayjs().isBefore(dayjs('28 Feb 2021', 'D MMM YYYY', true))
   }, {
     tld: 'москва',
     spec13: false,
+    lastUpdated: '2020-12-21',
     periods: [{
       name: 'Sunrise',
       open: dayjs('10 Jun 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('10 Jul 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
+      kind: 'sunrise'
     }, {
       name: 'Trademark Claims',
       open: dayjs('24 Sep 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('4 Jan 2022', 'D MMM YYYY', true).format('YYYY-MM-DD'),
+      kind: 'trademarkClaims'
     }, {
       name: 'Limited Registration Period III',
       open: dayjs('4 Sep 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('22 Sep 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
-      type: 'Limited Registration Period'
+      type: 'Limited Registration Period',
+      kind: 'limitedRegistration'
     }, {
       name: '-',
       open: dayjs('12 May 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('10 Jul 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
-      type: 'Qualified Launch Program'
+      type: 'Qualified Launch Program',
+      kind: 'qualifiedLaunch'
     }, {
       name: 'Limited Registration Period I',
       open: dayjs('15 Jul 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('13 Aug 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
-      type: 'Limited Registration Period'
+      type: 'Limited Registration Period',
+      kind: 'limitedRegistration'
     }, {
       name: 'Limited Registration Period II',
       open: dayjs('19 Aug 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('25 Aug 2014', 'D MMM YYYY', true).format('YYYY-MM-DD'),
-      type: 'Limited Registration Period'
+      type: 'Limited Registration Period',
+      kind: 'limitedRegistration'
     }, {
       name: '.xn--80adxhks - exclusive registration start-date period information submission',
       open: dayjs('20 Apr 2016', 'D MMM YYYY', true).format('YYYY-MM-DD'),
       close: dayjs('20 May 2016', 'D MMM YYYY', true).format('YYYY-MM-DD'),
-      type: 'Exclusive Registration Period'
+      type: 'Exclusive Registration Period',
+      kind: 'exclusiveRegistration'
     }],
     isNotGenerallyAvailable: dayjs().isBefore(dayjs('22 Sep 2014', 'D MMM YYYY', true)),
   },  {
     tld: 'itv',
     spec13: true,
+    lastUpdated: '2020-09-04',
     periods: [{
       name: 'Trademark Claims',
       open: dayjs('26 Sep 2016', 'D MMM YYYY', true).format('YYYY-MM-DD'),
+      kind: 'trademarkClaims'
     }],
-    isNotGenerallyAvailable: true
+    // Trademark Claims open at General Availability
+    isNotGenerallyAvailable: dayjs().isBefore(dayjs('26 Sep 2016', 'D MMM YYYY', true))
   }]);
 });
 
-test.serial('getTLDData - Combines all the data into a single object', async (t) => {
+test.serial('getTLDsWithStatusPeriods - Leaves out rows that can\'t be parsed with onError', async (t) => {
   // arrange
-  fetchMock.get('end:www.internic.net/domain/root.zone',
-    await readFile('test/fetchDummy/internic.net_domain_root.zone_ascii.txt', 'utf-8'));
-  fetchMock.get('end:www.iana.org/domains/root/db',
-    await readFile('test/fetchDummy/iana.org_domains_root_db.html', 'utf-8'));
-  fetchMock.get('end:www.icann.org/en/about/agreements/registries/dummytld1',
-    await readFile('test/fetchDummy/icann.org_en_about_agreements_registries_dummytld1.html', 'utf-8'));
-  fetchMock.get('end:www.icann.org/agreement/dummytld1',
-    await readFile('test/fetchDummy/icann.org_agreement_dummytld1.html', 'utf-8'));
+  const xls = await readFile('test/fetchDummy/newgtlds.icann.org_program-status_sunrise-claims-periods.xls', 'utf-8');
   fetchMock.get('end:newgtlds.icann.org/program-status/sunrise-claims-periods.xls',
-    await readFile('test/fetchDummy/newgtlds.icann.org_program-status_sunrise-claims-periods.xls', 'utf-8'));
+    xls.replace('<td>Start Date Sunrise</td>', '<td>Midnight Sunrise</td>'));
+  const errors = [];
+
+  // act
+  const r = await getTLDsWithStatusPeriods(dayjs(), { onError: (tld, e) => errors.push([tld, e.message]) });
+
+  // assert
+  t.deepEqual(r.map(o => o.tld), ['москва', 'itv']);
+  t.deepEqual(errors, [['forum', '\'forum\' sunrise event type must be in well-known types or blank']]);
+  await t.throwsAsync(() => getTLDsWithStatusPeriods(), { message: /sunrise event type/ });
+});
+
+test('parseStatusPeriodsRow - Lines up other periods, parsing every date format and normalizing names', (t) => {
+  // arrange
+  const row = ['xn--dummy', 'End Date Sunrise', 'Sep 4, 2014', '04-Oct-2014', '2014-10-05', 'TBD',
+    '1 Nov 2014, -, December 1st 2014',
+    'Founders Program (invite, only), Landrush, EAP',
+    '15 Nov 2014, 30 Nov 2014, 8 Dec 2014',
+    'Limited Registration Period, Other, Other',
+    '2 Jan 2015'];
+
+  // act
+  const r = parseStatusPeriodsRow(row);
+
+  // assert
+  t.deepEqual(r, {
+    tld: 'xn--dummy',
+    spec13: false,
+    lastUpdated: '2015-01-02',
+    periods: [
+      { name: 'Sunrise', open: '2014-09-04', close: '2014-10-04', kind: 'sunrise' },
+      { name: 'Trademark Claims', open: '2014-10-05', kind: 'trademarkClaims' },
+      { name: 'Founders Program (invite, only)', open: '2014-11-01', close: '2014-11-15', type: 'Limited Registration Period', kind: 'limitedRegistration' },
+      { name: 'Landrush', close: '2014-11-30', type: 'Other', kind: 'landrush' },
+      { name: 'EAP', open: '2014-12-01', close: '2014-12-08', type: 'Other', kind: 'earlyAccess' }
+    ]
+  });
+  t.is(parseStatusPeriodsRow(['xn--dummy', '', '', '', '', '', '1 Nov 2014', 'Sunrise, extended', '2 Nov 2014', '']).periods[0].name,
+    'Sunrise, extended');
+  t.deepEqual(parseStatusPeriodsRow(['xn--dummy', '', '', '', '', '', '2014-09-04, 2015-01-01', 'A, B',
+    'Sep 30, 2014, 2015-01-31', '']).periods, [
+    { name: 'A', open: '2014-09-04', close: '2014-09-30', kind: 'other' },
+    { name: 'B', open: '2015-01-01', close: '2015-01-31', kind: 'other' }
+  ]);
+  t.throws(() => parseStatusPeriodsRow(['xn--dummy', '', '', '', '', '', '1 Nov 2014, 2 Nov 2014', 'A', '3 Nov 2014, 4 Nov 2014', '']),
+    { message: '\'xn--dummy\' has 2 other periods but 1 values in \'name\' (\'A\')' });
+  t.throws(() => parseStatusPeriodsRow(['xn--dummy', '', '31 Feb 2014', '', '', '']),
+    { message: '\'xn--dummy\' has an invalid sunrise open date, \'31 Feb 2014\' isn\'t a date' });
+  t.is(parsePeriodDate('n/a'), undefined);
+  t.is(parsePeriodDate('2 September 2014'), '2014-09-02');
+  t.is(periodKind('Sunrise 2', 'Limited Registration Period'), 'limitedRegistration');
+  t.is(periodKind('QLP'), 'qualifiedLaunch');
+  t.is(periodKind('Premium'), 'other');
+});
+
+test.serial('getGTLDsFromNewGTLDsCSV - Parses delegation dates after the notes, handling quoted fields', async (t) => {
+  // arrange
+  fetchMock.get('end:www.icann.org/resources/registries/gtlds/v1/newgtlds.csv',
+    await readFile('test/fetchDummy/icann.org_resources_registries_gtlds_v1_newgtlds.csv', 'utf-8'));
+
+  // act
+  const r = await getGTLDsFromNewGTLDsCSV();
+
+  // assert
+  t.deepEqual(r, [
+    { tld: 'aaa', delegationDate: '2015-08-13' },
+    { tld: 'موقع', delegationDate: '2014-01-04' }
+  ]);
+});
+
+test('estimateGA - Combines the estimators and reports the ones that disagree', (t) => {
+  // arrange
+  const periods = [
+    { name: 'Sunrise', open: '2020-11-16', close: '2020-12-16' },
+    { name: 'Trademark Claims', open: '2021-03-02', close: '2021-05-31' },
+    { name: 'Sunrise 2', open: '2021-01-11', close: '2021-02-28', type: 'Limited Registration Period' }
+  ];
+  // Trademark Claims extended with no open date, which doesn't line up with
+  // the other periods
+  const extendedPeriods = [
+    { name: 'Trademark Claims', close: '2022-01-04' },
+    { name: 'Exclusive Registration Period', open: '2016-04-20', close: '2016-05-20' }
+  ];
+
+  // act
+  const agree = estimateGA({ periods, delegationDate: '2020-08-20' });
+  const disagree = estimateGA({ periods: extendedPeriods });
+  const overridden = estimateGA({ periods, override: '2021-06-01' });
+  const delegatedOnly = estimateGA({ delegationDate: '2020-08-20' });
+  const nothing = estimateGA({ periods: [{ name: 'Trademark Claims' }] });
+  // Not GA yet, even though it's been delegated
+  const undated = estimateGA({
+    periods: [{ name: 'Trademark Claims' }, { name: 'Sunrise', open: '2030-01-01' }],
+    delegationDate: '2025-01-01'
+  });
+  const sunriseLater = estimateGA({
+    periods: [...periods, { name: 'Sunrise 3', open: '2030-01-01' }],
+    delegationDate: '2020-08-20'
+  });
+
+  // assert
+  t.deepEqual(agree, {
+    gaDate: '2021-03-02',
+    gaConfidence: 'high',
+    estimator: 'trademarkClaims',
+    estimates: { trademarkClaims: '2021-03-02', periods: '2021-02-28', delegation: '2020-08-20' },
+    disagreements: []
+  });
+  t.like(disagree, { gaDate: '2021-10-06', gaConfidence: 'low', estimator: 'trademarkClaims' });
+  t.deepEqual(disagree.disagreements, [{ estimator: 'periods', date: '2016-05-20', days: -1965 }]);
+  t.like(overridden, { gaDate: '2021-06-01', gaConfidence: 'high', estimator: 'override' });
+  t.deepEqual(overridden.disagreements, [
+    { estimator: 'trademarkClaims', date: '2021-03-02', days: -91 },
+    { estimator: 'periods', date: '2021-02-28', days: -93 }
+  ]);
+  t.like(delegatedOnly, { gaDate: '2020-08-20', gaConfidence: 'low', estimator: 'delegation' });
+  t.deepEqual(nothing, { estimates: {}, disagreements: [] });
+  t.deepEqual(undated, { estimates: { delegation: '2025-01-01' }, disagreements: [] });
+  t.is(sunriseLater.gaDate, undefined);
+});
+
+test.serial('getTLDData - Combines all the data into a single object', async (t) => {
+  // arrange
+  await mockGetTLDDataSources();
+
+  // act
+  const r = await getTLDData(undefined, { thresholds: { minTLDs: 0 } });
+
+  // assert
+  t.deepEqual(r.find(o => o.tld === 'jp'), {
+    tld: 'jp',
+    tldAscii: 'jp',
+    isIDN: false,
+    tldScripts: ['Latin'],
+    tldDirection: 'ltr',
+    type: 'country-code',
+    sponsor: 'Japan Registry Services Co., Ltd.',
+    administrativeContactOrg: 'Dummy Registry Services LLC',
+    technicalContactOrg: 'Dummy Backend Provider',
+    whoisServer: 'whois.nic.dummytld1',
+    rdapBaseUrls: ['https://rdap.nic.dummytld1/'],
+    registrationDate: '2015-08-13',
+    recordLastUpdated: '2020-11-18',
+    isBrand: false,
+    hasRestrictions: true,
+    localPresence: 'required',
+    registersAtSecondLevel: true,
+    secondLevelDomains: ['co.jp', 'or.jp', 'ne.jp', 'gr.jp'],
+    idnScripts: ['Japanese'],
+    nameservers: ['a.dns.jp'],
+    glue: [],
+    dsRecords: [],
+    isDNSSECSigned: false,
+    dsAlgorithms: []
+  });
+});
+
+const dummyTLDData = {
+  generated: '2021-04-25T05:27:51+00:00',
+  data: [
+    { tld: 'com', type: 'generic' },
+    { tld: 'aaa', type: 'generic', isNotInGeneralAvailability: true, isBrand: true, hasRestrictions: false },
+    { tld: 'bank', type: 'generic', isNotInGeneralAvailability: false, isBrand: false, hasRestrictions: true },
+    { tld: 'forum', type: 'generic', isNotInGeneralAvailability: false, isBrand: false, hasRestrictions: false },
+    { tld: '한국', type: 'country-code' },
+    { tld: 'arpa', type: 'infrastructure', isBrand: false, hasRestrictions: true }
+  ]
+};
+
+test('createTLDQuery - Looks up TLDs by unicode or punycode', (t) => {
+  // arrange
+  const q = createTLDQuery(dummyTLDData);
+
+  // act
+  const r1 = q.lookup('xn--3e0b707e');
+  const r2 = q.lookup('.한국');
+  const r3 = q.lookup('COM');
+  const r4 = q.lookup('notatld');
+
+  // assert
+  t.is(q.generated, '2021-04-25T05:27:51+00:00');
+  t.deepEqual(r1, { tld: '한국', type: 'country-code' });
+  t.is(r1, r2);
+  t.deepEqual(r3, { tld: 'com', type: 'generic' });
+  t.is(r4, undefined);
+});
+
+test('createTLDQuery - Filters by predicates and checks registerability', (t) => {
+  // arrange
+  const q = createTLDQuery(dummyTLDData.data);
+
+  // act
+  const generic = q.filter({ type: 'generic', isBrand: false }).map(o => o.tld);
+  const restricted = q.filter({ hasRestrictions: true }).map(o => o.tld);
+  const registerable = q.filter({ isPubliclyRegisterable: true }).map(o => o.tld);
+
+  // assert
+  t.deepEqual(generic, ['com', 'bank', 'forum']);
+  t.deepEqual(restricted, ['bank', 'arpa']);
+  t.deepEqual(registerable, ['com', 'forum', '한국']);
+  t.true(q.isPubliclyRegisterable('forum'));
+  t.false(q.isPubliclyRegisterable('aaa'));
+  t.false(q.isPubliclyRegisterable('notatld'));
+});
+
+test('parseDomain - Splits labels and finds the TLD in punycode or unicode', (t) => {
+  // arrange
+  const q = createTLDQuery(dummyTLDData);
 
   // act
-  // TODO: 
-  // const r = await getTLDData();
+  const r1 = parseDomain('WWW.Example.com.', q);
+  const r2 = parseDomain('xn--9n2bp8q.xn--3e0b707e', q);
 
   // assert
-  // TODO: 
-  // t.deepEqual(r, [{
-  //   tld: 'com'
-  // }, {
-  //   tld: 'org'
-  // }, {
-  //   tld: 'net'
-  // }]);
-  t.pass();
-});
\ No newline at end of file
+  t.like(r1, {
+    hostname: 'www.example.com',
+    hostnameAscii: 'www.example.com',
+    labels: ['www', 'example', 'com'],
+    tld: 'com',
+    domain: 'example.com',
+    subdomains: ['www'],
+    isValid: true,
+    errors: []
+  });
+  t.like(r2, {
+    hostname: '실례.한국',
+    hostnameAscii: 'xn--9n2bp8q.xn--3e0b707e',
+    tld: '한국',
+    isValid: true
+  });
+});
+
+test('parseDomain - Reports why a domain is invalid', (t) => {
+  // arrange
+  const q = createTLDQuery(dummyTLDData);
+  const codes = h => parseDomain(h, q).errors.map(e => e.code);
+
+  // act + assert
+  t.deepEqual(codes('example.notatld'), ['UNKNOWN_TLD']);
+  t.deepEqual(codes('example.aaa'), ['BRAND_TLD', 'TLD_NOT_IN_GENERAL_AVAILABILITY']);
+  t.deepEqual(codes(`${'a'.repeat(64)}.com`), ['LABEL_TOO_LONG']);
+  t.deepEqual(codes('-example.com'), ['INVALID_LABEL_CHARACTERS']);
+  t.deepEqual(codes('ex_ample.com'), ['INVALID_LABEL_CHARACTERS']);
+  t.deepEqual(codes('www..com'), ['EMPTY_LABEL']);
+  t.deepEqual(codes('com'), ['MISSING_DOMAIN_LABEL']);
+  t.false(isValidDomain('example.aaa', q));
+  t.true(isValidDomain('example.forum', q));
+});
+
+test('rdapDomainURL - Builds the RDAP query URL for the registered domain', (t) => {
+  // arrange
+  const q = createTLDQuery([
+    { tld: 'com', type: 'generic', rdapBaseUrls: ['http://rdap.example/com/', 'https://rdap.example/com/'] },
+    { tld: 'uk', type: 'country-code', rdapBaseUrls: ['https://rdap.example/uk'], secondLevelDomains: ['co.uk'] },
+    { tld: '한국', type: 'country-code', rdapBaseUrls: ['https://rdap.example/kr/'] },
+    { tld: 'arpa', type: 'infrastructure' }
+  ]);
+
+  // act + assert
+  t.is(rdapDomainURL('www.Example.com', q), 'https://rdap.example/com/domain/example.com');
+  t.is(rdapDomainURL('shop.example.co.uk', q), 'https://rdap.example/uk/domain/example.co.uk');
+  t.is(rdapDomainURL('example.uk', q), 'https://rdap.example/uk/domain/example.uk');
+  t.is(rdapDomainURL('실례.한국', q), 'https://rdap.example/kr/domain/xn--9n2bp8q.xn--3e0b707e');
+  t.is(rdapDomainURL('in-addr.arpa', q), undefined);
+  t.is(rdapDomainURL('com', q), undefined);
+  t.is(rdapDomainURL('example.notatld', q), undefined);
+});
+
+test('createDataServer - Serves filters, lookups, domain checks and meta with ETags', async (t) => {
+  // arrange
+  let loads = 0;
+  const dataServer = createDataServer(async current => {
+    loads++;
+    if (current) {
+      throw new Error('Offline');
+    }
+    return { schemaVersion: 2, ...dummyTLDData };
+  });
+  const { port } = await dataServer.listen(0, '127.0.0.1');
+  const get = (urlPath, opts) => nodeFetch(`http://127.0.0.1:${port}${urlPath}`, opts);
+
+  try {
+    // act
+    const generic = await (await get('/tlds?type=generic&isBrand=false')).json();
+    const korea = await get('/tlds/xn--3e0b707e');
+    const unknown = await get('/tlds/notatld');
+    const check = await (await get(`/check/${encodeURIComponent('www.example.한국')}`)).json();
+    const brandCheck = await (await get('/check/example.aaa')).json();
+    const badFilter = await get('/tlds?isBrand=yes');
+    const post = await get('/meta', { method: 'POST' });
+    const meta = await get('/meta');
+    const notModified = await get('/meta', { headers: { 'If-None-Match': meta.headers.get('etag') } });
+    await dataServer.refresh();
+    const metaAfterRefresh = await (await get('/meta')).json();
+
+    // assert
+    t.deepEqual(generic.data.map(o => o.tld), ['com', 'bank', 'forum']);
+    t.deepEqual(await korea.json(), { tld: '한국', type: 'country-code' });
+    t.is(unknown.status, 404);
+    t.is((await unknown.json()).error.code, 'UNKNOWN_TLD');
+    t.like(check, { hostnameAscii: 'www.example.xn--3e0b707e', domain: 'example.한국', isValid: true, isPubliclyRegisterable: true });
+    t.is(check.tldInfo, undefined);
+    t.like(brandCheck, { isValid: false, isPubliclyRegisterable: false });
+    t.is(brandCheck.errors[0].code, 'BRAND_TLD');
+    t.is(badFilter.status, 400);
+    t.is(post.status, 405);
+    t.like(await meta.json(), { schemaVersion: 2, generated: '2021-04-25T05:27:51+00:00', tldCount: 6 });
+    t.truthy(meta.headers.get('etag'));
+    t.is(notModified.status, 304);
+    t.is(loads, 2);
+    t.is(metaAfterRefresh.tldCount, 6);
+  }
+  finally {
+    await dataServer.close();
+  }
+});
+
+test('diffTLDData - Finds added/removed TLDs, flips and period changes', (t) => {
+  // arrange
+  const newTLDData = {
+    generated: '2021-05-02T05:00:00+00:00',
+    data: [
+      { tld: 'com', type: 'generic' },
+      { tld: 'aaa', type: 'generic', isNotInGeneralAvailability: false, isBrand: false, hasRestrictions: false },
+      { tld: 'bank', type: 'sponsored', isNotInGeneralAvailability: false, isBrand: false, hasRestrictions: true,
+        periods: [{ name: 'Sunrise', open: '2021-01-01', close: '2021-02-01' }] },
+      { tld: 'forum', type: 'generic', isNotInGeneralAvailability: false, isBrand: false, hasRestrictions: false },
+      { tld: '한국', type: 'country-code' },
+      { tld: 'newtld', type: 'generic' }
+    ]
+  };
+  const oldTLDData = JSON.parse(JSON.stringify(dummyTLDData));
+  oldTLDData.data[2].periods = [{ name: 'Sunrise', open: '2021-01-01', close: '2021-01-15' }];
+  oldTLDData.data[3].periods = [{ name: 'Sunrise', open: '2020-01-01', close: '2020-02-01' }];
+
+  // act
+  const r = diffTLDData(oldTLDData, newTLDData);
+  const md = diffToMarkdown(r);
+
+  // assert
+  t.is(r.from, '2021-04-25T05:27:51+00:00');
+  t.is(r.to, '2021-05-02T05:00:00+00:00');
+  t.deepEqual(r.changes, [
+    { kind: 'added', tld: 'newtld' },
+    { kind: 'removed', tld: 'arpa' },
+    { kind: 'typeChanged', tld: 'bank', from: 'generic', to: 'sponsored' },
+    { kind: 'brandChanged', tld: 'aaa', from: true, to: false },
+    { kind: 'availabilityChanged', tld: 'aaa', from: false, to: true },
+    { kind: 'periodRemoved', tld: 'forum', period: { name: 'Sunrise', open: '2020-01-01', close: '2020-02-01' } },
+    { kind: 'periodChanged', tld: 'bank', name: 'Sunrise', field: 'close', from: '2021-01-15', to: '2021-02-01' }
+  ]);
+  t.true(md.includes('## Added to the root zone (1)\n\n* `.newtld`'));
+  t.true(md.includes('* `.aaa`: now in General Availability'));
+  t.is(diffToMarkdown(diffTLDData(dummyTLDData, dummyTLDData)).trim(),
+    '# TLD data changes\n\nFrom `2021-04-25T05:27:51+00:00` to `2021-04-25T05:27:51+00:00`\n\nNo changes');
+});
+
+test('queueChanges - Queues changes once and delivers them to every target, retrying failures', async (t) => {
+  // arrange
+  const now = dayjs('2021-05-01T00:00:00Z');
+  const oldData = { generated: '2021-04-25T00:00:00Z', data: [{ tld: 'com', type: 'generic' }, { tld: 'aaa', type: 'generic', isNotInGeneralAvailability: true }] };
+  const newData = { generated: '2021-05-01T00:00:00Z', data: [{ tld: 'aaa', type: 'generic', isNotInGeneralAvailability: false }, { tld: 'zip', type: 'generic', periods: [] }] };
+  const sent = { hook: [], flaky: [] };
+  let flakyFailures = 2;
+  const hook = { name: 'hook', send: async payload => sent.hook.push(payload) };
+  const flaky = {
+    name: 'flaky',
+    send: async payload => {
+      if (flakyFailures-- > 0) {
+        throw new Error('Offline');
+      }
+      sent.flaky.push(payload);
+    }
+  };
+  const opts = { targets: ['hook', 'flaky'], now };
+
+  // act
+  const first = queueChanges(createWatchState(), oldData, opts);
+  const second = queueChanges(first.state, newData, opts);
+  const failedDelivery = await deliverPending(second.state, [hook, flaky], { retries: 1, retryDelayMs: 0, now });
+  const retriedDelivery = await deliverPending(failedDelivery.state, [hook, flaky], { retries: 1, retryDelayMs: 0, now });
+  const again = queueChanges({ ...retriedDelivery.state, baseline: oldData }, newData, opts);
+  const afterDedupe = queueChanges({ ...retriedDelivery.state, baseline: oldData }, newData, { ...opts, now: now.add(31, 'day') });
+
+  // assert
+  t.deepEqual(first.queued, []);
+  t.is(first.state.baseline, oldData);
+  t.deepEqual(second.queued.map(c => [c.kind, c.tld, c.isPubliclyRegisterable]),
+    [['added', 'zip', true], ['removed', 'com', undefined], ['availabilityChanged', 'aaa', true]]);
+  t.like(second.queued[2], { from: false, to: true, detectedAt: now.format() });
+  t.deepEqual(failedDelivery.delivered, [{ target: 'hook', count: 3 }]);
+  t.deepEqual(failedDelivery.failed, [{ target: 'flaky', error: 'Offline' }]);
+  t.deepEqual(failedDelivery.state.pending.map(p => p.targets), [['flaky'], ['flaky'], ['flaky']]);
+  t.deepEqual(retriedDelivery.delivered, [{ target: 'flaky', count: 3 }]);
+  t.deepEqual(retriedDelivery.state.pending, []);
+  t.is(Object.keys(retriedDelivery.state.announced).length, 3);
+  t.is(sent.hook.length, 1);
+  t.is(sent.flaky.length, 1);
+  t.deepEqual(sent.hook[0].changes, second.queued);
+  t.regex(sent.hook[0].text, /## General Availability changes \(1\)/);
+  t.deepEqual(again.queued, []);
+  t.is(afterDedupe.queued.length, 3);
+});
+
+test('webhookTarget - POSTs the payload and fails on non-2xx, commandTarget pipes it to a command', async (t) => {
+  // arrange
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/broken' ? 500 : 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const out = path.join(os.tmpdir(), `tld-data-watch-${process.pid}.json`);
+  const payload = { changes: [{ kind: 'added', tld: 'zip' }] };
+
+  try {
+    // act
+    await webhookTarget(`${base}/hook`).send(payload);
+    const broken = webhookTarget(`${base}/broken`).send(payload);
+    await commandTarget(`cat > '${out}'`).send(payload);
+    const failing = commandTarget('exit 3').send(payload);
+
+    // assert
+    await t.throwsAsync(broken, { message: /responded with '500/ });
+    t.deepEqual(received[0], { method: 'POST', url: '/hook', body: payload });
+    t.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')), payload);
+    await t.throwsAsync(failing, { message: /exited with 3/ });
+  }
+  finally {
+    server.close();
+    fs.rmSync(out, { force: true });
+  }
+});
+
+test('formatData - Formats as CSV/TSV with periods as columns or a side table', (t) => {
+  // arrange
+  const outData = {
+    generated: '2021-04-25T05:27:51+00:00',
+    data: [
+      { tld: 'forum', type: 'generic', isBrand: false, periods: [
+        { name: 'Sunrise', open: '2020-11-16', close: '2020-12-16', kind: 'sunrise' },
+        { name: 'Sunrise 2, again', open: '2021-01-11', close: '2021-02-28', type: 'Limited Registration Period', kind: 'limitedRegistration' }
+      ] },
+      { tld: '한국', type: 'country-code' }
+    ]
+  };
+
+  // act
+  const csv = formatData(outData, 'csv');
+  const tsv = formatData(outData, 'tsv', { periodColumns: false });
+  const periods = formatPeriodsTable(outData, 'csv');
+
+  // assert
+  t.is(csv,
+    'tld,type,isBrand,period1Name,period1Open,period1Close,period1Type,period1Kind,period2Name,period2Open,period2Close,period2Type,period2Kind\n' +
+    'forum,generic,false,Sunrise,2020-11-16,2020-12-16,,sunrise,"Sunrise 2, again",2021-01-11,2021-02-28,Limited Registration Period,limitedRegistration\n' +
+    '한국,country-code,,,,,,,,,,,\n');
+  t.is(tsv, 'tld\ttype\tisBrand\nforum\tgeneric\tfalse\n한국\tcountry-code\t\n');
+  t.is(periods,
+    'tld,name,open,close,type,kind\n' +
+    'forum,Sunrise,2020-11-16,2020-12-16,,sunrise\n' +
+    'forum,"Sunrise 2, again",2021-01-11,2021-02-28,Limited Registration Period,limitedRegistration\n');
+});
+
+test('parsePSL - Parses the ICANN section, reconciles it with the root zone and formats it back', async (t) => {
+  // arrange
+  const text = await readFile('test/fetchDummy/publicsuffix.org_list_public_suffix_list.dat', 'utf-8');
+  const outData = {
+    generated: '2021-04-25T05:27:51+00:00',
+    data: [
+      { tld: 'jp', sponsor: 'Japan Registry Services Co., Ltd.', secondLevelDomains: ['co.jp', 'ne.jp'] },
+      { tld: 'موقع' }
+    ]
+  };
+
+  // act
+  const psl = parsePSL(text);
+  const reconciled = reconcilePSL(['aaa', 'jp', 'موقع', 'zip'], psl);
+  const formatted = formatPSL(outData, { secondLevel: true });
+
+  // assert
+  t.deepEqual(psl, {
+    icann: ['aaa', '*.ck', '!www.ck', 'jp', 'co.jp', 'ne.jp', 'موقع'],
+    private: ['blogspot.com']
+  });
+  t.deepEqual(reconciled, { missing: ['zip'], notDelegated: ['ck'] });
+  t.is(formatted,
+    '// ===BEGIN ICANN DOMAINS===\n\n' +
+    '// Generated from the root zone on 2021-04-25T05:27:51+00:00\n\n' +
+    '// jp : Japan Registry Services Co., Ltd.\njp\nco.jp\nne.jp\n\n' +
+    '// xn--4gbrim\nموقع\n\n' +
+    '// ===END ICANN DOMAINS===\n');
+  t.deepEqual(parsePSL(formatted).icann, ['jp', 'co.jp', 'ne.jp', 'موقع']);
+  t.is(formatPSL(outData), formatted.replace('co.jp\nne.jp\n', ''));
+  t.throws(() => parsePSL('com\n'), { message: /no rules in its ICANN section/ });
+});
+
+test('idnInfo - Gives the ASCII form, scripts, direction and ccTLD counterpart', (t) => {
+  // act
+  const rf = idnInfo('рф');
+  const site = idnInfo('موقع');
+  const fromPunycode = idnInfo('XN--P1AI');
+  const com = idnInfo('com');
+
+  // assert
+  t.deepEqual(rf, {
+    tld: 'рф',
+    tldAscii: 'xn--p1ai',
+    isIDN: true,
+    tldScripts: ['Cyrillic'],
+    tldDirection: 'ltr',
+    idnCountry: 'RU',
+    asciiCounterpart: 'ru'
+  });
+  t.deepEqual(site, { tld: 'موقع', tldAscii: 'xn--4gbrim', isIDN: true, tldScripts: ['Arabic'], tldDirection: 'rtl' });
+  t.deepEqual(fromPunycode, rf);
+  t.deepEqual(com, { tld: 'com', tldAscii: 'com', isIDN: false, tldScripts: ['Latin'], tldDirection: 'ltr' });
+  t.deepEqual(idnInfo('xn--ses554g').tldScripts, ['Han']);
+});
+
+test('formatData - Formats as NDJSON, a TLD list and YAML', (t) => {
+  // arrange
+  const outData = {
+    generated: '2021-04-25T05:27:51+00:00',
+    data: [{ tld: 'com', type: 'generic' }, { tld: '한국', type: 'country-code' }]
+  };
+
+  // act
+  const ndjson = formatData(outData, 'ndjson');
+  const list = formatData(outData, 'list');
+  const yaml = formatData(outData, 'yaml');
+
+  // assert
+  t.is(ndjson, '{"tld":"com","type":"generic"}\n{"tld":"한국","type":"country-code"}\n');
+  t.is(list, 'com\n한국\n');
+  t.is(yaml, "generated: '2021-04-25T05:27:51+00:00'\ndata:\n  - tld: com\n    type: generic\n  - tld: 한국\n    type: country-code\n");
+  t.throws(() => formatData(outData, 'xml'));
+});
+
+test('loadDataset - Loads every schema version', (t) => {
+  // arrange
+  const data = [{ tld: 'com', type: 'generic' }];
+
+  // act + assert
+  t.deepEqual(loadDataset(data), { schemaVersion: 2, generated: undefined, data });
+  t.deepEqual(loadDataset({ generated: '2021-04-25T05:27:51+00:00', data }),
+    { schemaVersion: 2, generated: '2021-04-25T05:27:51+00:00', data });
+  t.deepEqual(loadDataset({ schemaVersion: 2, generated: '2021-04-25T05:27:51+00:00', data }),
+    { schemaVersion: 2, generated: '2021-04-25T05:27:51+00:00', data });
+  t.throws(() => loadDataset({ schemaVersion: 99, data }), { message: /schemaVersion 99/ });
+  t.throws(() => loadDataset({ tlds: data }));
+});
+
+test('previousDataForReuse - Only reuses fields younger than their max age', (t) => {
+  // arrange
+  const now = dayjs('2021-05-01T00:00:00+00:00');
+  const prev = {
+    generated: '2021-04-25T00:00:00+00:00',
+    data: [
+      { tld: 'aaa', type: 'generic', isBrand: true, hasRestrictions: false },
+      { tld: 'bank', type: 'generic', isBrand: false, hasRestrictions: true, sources: {
+        isBrand: { source: 'registryAgreement', method: 'scraped', url: 'https://www.icann.org/en/about/agreements/registries/bank', fetchedAt: '2021-03-01T00:00:00+00:00' }
+      } },
+      { tld: 'com', type: 'generic' }
+    ]
+  };
+
+  // act
+  const r = previousDataForReuse(prev, { isBrand: 30 * 24 * 60 * 60, hasRestrictions: Infinity }, now);
+  const old = previousDataForReuse(prev.data, { isBrand: 1 }, now);
+
+  // assert
+  t.deepEqual(r, {
+    aaa: { isBrand: true, hasRestrictions: false, sources: {
+      isBrand: { fetchedAt: '2021-04-25T00:00:00+00:00' },
+      hasRestrictions: { fetchedAt: '2021-04-25T00:00:00+00:00' }
+    } },
+    // isBrand is too old
+    bank: { hasRestrictions: true, sources: {
+      hasRestrictions: { fetchedAt: '2021-04-25T00:00:00+00:00' }
+    } },
+    com: { sources: {} }
+  });
+  // No `generated` in version 0, so the age is unknown
+  t.deepEqual(old.aaa, { sources: {} });
+});
+
+test('validateTLDs - Checks the schema and sanity thresholds', (t) => {
+  // arrange
+  const thresholds = { minTLDs: 2, maxChangePercent: 50 };
+  const previous = dummyTLDData.data.slice(0, 4);
+
+  // act
+  const valid = validateTLDs(dummyTLDData.data, { thresholds, previous, exempt: ['com'] });
+  const garbage = validateTLDs([{ tld: '.com', type: 'Generic top-level domain', isBrand: 'no' }], { thresholds });
+  const changed = validateTLDs(dummyTLDData.data, { thresholds: { minTLDs: 0, maxChangePercent: 40 }, previous, exempt: ['com'] });
+  const missing = validateTLDs(dummyTLDData.data, { thresholds });
+  const failed = validateTLDs(dummyTLDData.data, { thresholds, failed: ['com'] });
+  const tooManyFailed = validateTLDs(dummyTLDData.data, { thresholds: { ...thresholds, maxFailedTLDs: 0 }, failed: ['com'] });
+
+  // assert
+  t.deepEqual(valid, []);
+  t.deepEqual(garbage, [
+    '/0/tld must match pattern "^[^.\\s]+$"',
+    '/0/type must be equal to one of the allowed values',
+    '/0/isBrand must be boolean',
+    'Only 1 TLDs, expected at least 2'
+  ]);
+  t.deepEqual(changed, ['2 TLDs added and 0 removed (50.0%), expected at most 40%']);
+  t.deepEqual(missing, ['1 generic TLDs are missing required fields: com (isBrand, hasRestrictions)']);
+  t.deepEqual(failed, []);
+  t.deepEqual(tooManyFailed, ['1 generic TLDs are missing required fields after a source failed for them, expected at most 0: com (isBrand, hasRestrictions)']);
+  t.deepEqual(validateDataset({ schemaVersion: 2, ...dummyTLDData }), []);
+  t.deepEqual(validateDataset(dummyTLDData), ['/ must have required property \'schemaVersion\'']);
+});
+
+test('updateHistory - Records additions, removals and changes to answer what the TLDs were at a date', (t) => {
+  // arrange
+  const v1 = {
+    generated: '2020-01-01T00:00:00+00:00',
+    data: [
+      { tld: 'com', type: 'generic', registrationDate: '1985-01-01' },
+      { tld: 'aaa', type: 'generic', isBrand: false, hasRestrictions: false, isNotInGeneralAvailability: true },
+      { tld: 'xerox', type: 'generic', isBrand: true, hasRestrictions: false }
+    ]
+  };
+  const v2 = {
+    generated: '2021-01-01T00:00:00+00:00',
+    data: [
+      { tld: 'com', type: 'generic' },
+      { tld: 'aaa', type: 'generic', isBrand: true, hasRestrictions: false, isNotInGeneralAvailability: false },
+      { tld: 'bank', type: 'generic', isBrand: false, hasRestrictions: true, periods: [] }
+    ]
+  };
+
+  // act
+  const h1 = updateHistory(createHistory(), v1);
+  const h2 = updateHistory(h1, v2);
+
+  // assert
+  t.deepEqual(h1.events[0], { date: '1985-01-01', kind: 'added', estimated: true, tld: 'com', type: 'generic' });
+  t.is(h2.updated, '2021-01-01T00:00:00+00:00');
+  t.deepEqual(h2.events.slice(3), [
+    { date: '2021-01-01T00:00:00+00:00', kind: 'added', tld: 'bank', type: 'generic', isBrand: false, hasRestrictions: true },
+    { date: '2021-01-01T00:00:00+00:00', kind: 'removed', tld: 'xerox' },
+    { date: '2021-01-01T00:00:00+00:00', kind: 'brandChanged', tld: 'aaa', from: false, to: true },
+    { date: '2021-01-01T00:00:00+00:00', kind: 'availabilityChanged', tld: 'aaa', from: false, to: true }
+  ]);
+  t.deepEqual(tldsAt(h2, '1990-01-01'), ['com']);
+  t.deepEqual(tldsAt(h2, '2020-06-01'), ['com', 'aaa', 'xerox']);
+  t.deepEqual(tldsAt(h2, '2021-06-01'), ['com', 'aaa', 'bank']);
+  t.like(historyStateAt(h2, '2020-06-01')[1], { tld: 'aaa', isBrand: false, isNotInGeneralAvailability: true });
+  t.like(historyStateAt(h2)[1], { tld: 'aaa', isBrand: true, isNotInGeneralAvailability: false });
+  t.deepEqual(tldTimeline(h2, 'xerox').map(e => e.kind), ['added', 'removed']);
+  t.deepEqual(updateHistory(h2, v2).events, h2.events);
+  t.throws(() => updateHistory(h2, v1), { message: /older than the history/ });
+});